@@ -7,30 +7,78 @@
 // ============================================================================
 
 // ---------------------------- Storage Keys & Defaults ----------------------
-// These keys are the only persisted data. Keep schema stable or write
-// a migration routine if changing.
+// These keys are the only persisted data. Settings defaults and the schema
+// version live in settings.js; shape changes need a SETTINGS_MIGRATIONS step.
+importScripts("settings.js");
+
 const STORAGE_KEYS = {
     SUSPENDED_TABS: "suspendedTabs",
     SETTINGS: "settings",
+    // One entry per thumbnail ("thumb:<id>") so the suspended cache stays small
+    THUMBNAIL_PREFIX: "thumb:",
+    // Keys of all stored thumbnails, so pruning never reads the images
+    THUMBNAIL_INDEX: "thumbnailIndex",
+    GLOBAL_SNOOZE: "globalSnooze",
+    // Extension version the suspended cache was last reconciled under
+    LAST_VERSION: "lastVersion",
+    STATS: "stats",
 };
 
-const DEFAULT_SETTINGS = {
-    autoSuspend: true,
-    autoSuspendTime: 30, // minutes
-    ignorePinned: true,
-    ignoreAudio: true,
-    ignoreActive: true,
-    urlWhitelist: "",
+// chrome.storage.session survives worker restarts but not a browser restart,
+// which matches the lifetime of tab IDs.
+const SESSION_KEYS = {
+    TAB_SNOOZES: "tabSnoozes",
+    UNFOCUSED_WINDOWS: "unfocusedWindows",
+    LAZY_RESTORE: "lazyRestoreTabs",
+    AWAY_SINCE: "awaySince",
+    ACTIVITY: "lastActivity",
+    PAGE_SIGNALS: "pageSignals",
+    FORM_DIRTY: "formDirty",
+    ACTIVE_TABS: "activeTabs",
+    RESTORED_URLS: "restoredUrls",
 };
 
 // ---------------------------- In-Memory State ------------------------------
 // Avoids frequent storage round-trips. Always call persistSuspendedCache()
 // after mutating suspendedTabsCache.
 let currentSettings = { ...DEFAULT_SETTINGS };
-/** @type {Record<number, {url:string,title:string,favicon?:string,suspendedAt:number,reason:string,originalTabId:number,windowId:number,index:number,pinned:boolean,wasActive:boolean,strategy:string,placeholderTabId?:number}>} */
+/** @type {Record<number, {url:string,title:string,favicon?:string,suspendedAt:number,reason:string,originalTabId:number,windowId:number,index:number,pinned:boolean,wasActive:boolean,strategy:string,placeholderTabId?:number,pageState?:object,thumbnail?:string}>} */
 let suspendedTabsCache = {};
-// Track finer-grained last activity (content interaction) to avoid double suspends & improve accuracy
+// Track finer-grained last activity (content interaction) to avoid double suspends & improve accuracy.
+// Write through touchActivity() so it survives worker restarts.
 const lastActivityMap = {}; // tabId -> timestamp
+// Tabs whose content script reported unsaved form input. Pages only report
+// changes, so always call persistFormDirty() after mutating.
+let formDirtyMap = {}; // tabId -> true
+// Latest signals from each tab's content script, see blockingPageSignal().
+// Always call persistPageSignals() after mutating.
+let pageSignals = {}; // tabId -> { [signal]: boolean }
+// Captured scroll/form state waiting for the restored page to finish loading
+const pendingPageState = {}; // tabId -> { url, state }
+// Latest screenshot of recently activated tabs, for later suspends. Oldest
+// first, capped at MAX_RECENT_THUMBNAILS.
+const recentThumbnails = new Map(); // tabId -> data URL
+// Snoozed tabs are left alone by every automatic trigger until `until`
+// (null = no expiry). Always call persistSnoozes() after mutating.
+let tabSnoozes = {}; // tabId -> { until: number|null, untilRestart: boolean }
+/** @type {{until:number|null, untilRestart:boolean}|null} */
+let globalSnooze = null;
+// Titles, colours and collapsed state of open tab groups, for group rules
+// and collapse detection. Refilled in init().
+const tabGroupsById = new Map(); // groupId -> chrome.tabGroups.TabGroup
+// Windows in the background since `since`, while suspendUnfocusedWindows is
+// on. Always call persistUnfocusedWindows() after mutating.
+let unfocusedWindows = {}; // windowId -> { since: number, minimized: boolean }
+// Suspended tabs a lazy bulk restore left for later; each is restored when
+// activated. Always call persistLazyRestore() after mutating.
+let lazyRestoreTabs = new Set(); // tabId
+// When the user went idle or locked the screen; null while they are here.
+// Mirrored in storage.session, see setAwaySince().
+let awaySince = null;
+// URLs each tab was restored to this session, so its suspended page can
+// still restore when reached again with Back. Always call
+// persistRestoredUrls() after mutating.
+let restoredUrls = {}; // tabId -> url[], newest last
 
 // ---------------------------- Helper Functions -----------------------------
 function getSuspendedUrl(originalUrl, title) {
@@ -40,65 +88,580 @@ function getSuspendedUrl(originalUrl, title) {
     return chrome.runtime.getURL("suspended.html") + "?" + params.toString();
 }
 
+function sameOrigin(a, b) {
+    try {
+        return new URL(a).origin === new URL(b).origin;
+    } catch {
+        return false;
+    }
+}
+
 function isExtensionSuspendedPage(url) {
     return url?.startsWith(chrome.runtime.getURL("suspended.html"));
 }
 
-function whitelistEntries() {
-    return (currentSettings.urlWhitelist || "")
-        .split(/\r?\n|,/)
-        .map((e) => e.trim())
-        .filter(Boolean);
-}
-
-function isWhitelisted(url) {
-    const wl = whitelistEntries();
-    if (!wl.length) return false;
-    // Simple wildcard support: treat '*' as multi-char wildcard
-    return wl.some((pattern) => {
-        if (pattern === "*") return true;
-        // Escape regex special except '*'
-        const re = new RegExp(
-            "^" +
-                pattern
-                    .split("*")
-                    .map((s) =>
-                        s.replace(/[.*+?^${}()|[\\]\\]/g, (r) => "\\" + r)
-                    )
-                    .join(".*") +
-                "$"
+// ---------------------------- URL Patterns ---------------------------------
+// Supported entries (whitelist lines and rule patterns):
+//   /regex/flags            tested against the full URL
+//   *://*.example.com/*     Chrome match pattern (scheme, host, path)
+//   example.com             bare hostname, subdomains included
+//   example.com/docs/*      hostname plus path glob
+//   *.example.com, localhost:*, *github*   host globs, optional port
+// '*' is a multi-char wildcard everywhere except inside regexes.
+const MATCH_SCHEMES = ["*", "http", "https", "file", "ftp"];
+const compiledPatterns = new Map(); // pattern -> { test } | { error }
+// The options page tester compiles every keystroke; start over past this
+const COMPILED_PATTERNS_MAX = 500;
+
+function globToRegExp(glob) {
+    return new RegExp(
+        "^" +
+            glob
+                .split("*")
+                .map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+                .join(".*") +
+            "$",
+        "i"
+    );
+}
+
+function buildPatternMatcher(pattern) {
+    if (pattern === "*" || pattern === "<all_urls>") return () => true;
+
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        // g and y make test() resume from lastIndex, so a cached RegExp
+        // would alternate results for the same URL
+        const re = new RegExp(regex[1], regex[2].replace(/[gy]/g, ""));
+        return (url) => re.test(url);
+    }
+
+    let scheme = "*";
+    let hostPart;
+    let path;
+    const full = pattern.match(/^([^:/]+):\/\/([^/]*)(\/.*)?$/);
+    if (full) {
+        [, scheme, hostPart, path] = full;
+        scheme = scheme.toLowerCase();
+        if (!MATCH_SCHEMES.includes(scheme))
+            throw new Error(`Unsupported scheme "${scheme}"`);
+    } else if (pattern.includes("://")) {
+        throw new Error("Malformed match pattern");
+    } else {
+        const slash = pattern.indexOf("/");
+        hostPart = slash < 0 ? pattern : pattern.slice(0, slash);
+        path = slash < 0 ? undefined : pattern.slice(slash);
+    }
+
+    const [host, port, extra] = hostPart.toLowerCase().split(":");
+    if (extra !== undefined) throw new Error("Malformed host");
+    if (!host && scheme !== "file") throw new Error("Missing host");
+    if (/[^a-z0-9.*_\-]/.test(host))
+        throw new Error(`Invalid character in host "${host}"`);
+    if (port !== undefined && !/^(\*|\d+)$/.test(port))
+        throw new Error(`Invalid port "${port}"`);
+
+    // "*.example.com" and bare "example.com" also cover the domain itself
+    let hostTest;
+    if (!host || host === "*") hostTest = () => true;
+    else if (host.startsWith("*.") && !host.slice(2).includes("*"))
+        hostTest = (h) => hostMatches(h, host.slice(2));
+    else if (host.includes("*")) {
+        const re = globToRegExp(host);
+        hostTest = (h) => re.test(h);
+    } else if (full) hostTest = (h) => h === host;
+    else hostTest = (h) => hostMatches(h, host);
+
+    const portTest =
+        port === undefined || port === "*" ? () => true : (p) => p === port;
+    const pathRe = path ? globToRegExp(path) : null;
+
+    return (url) => {
+        let u;
+        try {
+            u = new URL(url);
+        } catch {
+            return false;
+        }
+        const proto = u.protocol.slice(0, -1);
+        if (scheme === "*" ? !/^https?$/.test(proto) : proto !== scheme)
+            return false;
+        return (
+            hostTest(u.hostname) &&
+            portTest(u.port) &&
+            (!pathRe || pathRe.test(u.pathname + u.search))
+        );
+    };
+}
+
+// Compiled once per pattern; invalid ones carry an error instead of throwing
+function compilePattern(pattern) {
+    let compiled = compiledPatterns.get(pattern);
+    if (!compiled) {
+        try {
+            compiled = { test: buildPatternMatcher(pattern) };
+        } catch (e) {
+            compiled = { error: e.message };
+        }
+        if (compiledPatterns.size >= COMPILED_PATTERNS_MAX)
+            compiledPatterns.clear();
+        compiledPatterns.set(pattern, compiled);
+    }
+    return compiled;
+}
+
+function patternMatches(pattern, url) {
+    const compiled = compilePattern(pattern);
+    return !compiled.error && compiled.test(url);
+}
+
+// Split a list of patterns on commas/whitespace, keeping regexes whole
+function splitPatternList(text) {
+    const trimmed = (text || "").trim();
+    if (/^\/.+\/[a-z]*$/.test(trimmed)) return [trimmed];
+    return trimmed.split(/[\s,]+/).filter(Boolean);
+}
+
+// Entry matching exactly this page, fragment ignored. A plain URL reads best,
+// but commas would split it and '*' would act as a wildcard, so such URLs
+// become an anchored regex instead.
+function exactUrlPattern(pageUrl) {
+    const url = new URL(pageUrl);
+    url.hash = "";
+    if (!/[\s,*]/.test(url.href)) return url.href;
+    return `/^${url.href.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(#.*)?$/`;
+}
+
+// One entry per line; a line may hold several comma separated patterns
+function whitelistEntries(text = currentSettings.urlWhitelist) {
+    return (text || "")
+        .split(/\r?\n/)
+        .flatMap((line, i) =>
+            splitPatternList(line).map((pattern) => ({ pattern, line: i + 1 }))
         );
-        return re.test(url);
+}
+
+// Returns the first whitelist entry protecting the URL, or null
+function whitelistMatch(url, text) {
+    return (
+        whitelistEntries(text).find((e) => patternMatches(e.pattern, url)) ||
+        null
+    );
+}
+
+// Whitelist tester for the options page: errors per line, and which entry
+// (if any) would protect each open tab
+async function testWhitelist(text) {
+    const entries = whitelistEntries(text);
+    const errors = entries
+        .map((e) => ({ ...e, error: compilePattern(e.pattern).error }))
+        .filter((e) => e.error);
+    const tabs = await chrome.tabs.query({});
+    return {
+        errors,
+        tabs: tabs.map((tab) => {
+            const url = originalUrlOf(tab);
+            return {
+                title: tab.title,
+                url,
+                match: whitelistMatch(url, text),
+            };
+        }),
+    };
+}
+
+// ---------------------------- Site Rules -----------------------------------
+const RULE_ACTIONS = ["timeout", "never", "onSwitch"];
+
+// Drop malformed rules so a bad entry can never break scheduling
+function sanitizeRules(rules) {
+    if (!Array.isArray(rules)) return [];
+    return rules
+        .filter(
+            (r) =>
+                r &&
+                typeof r.pattern === "string" &&
+                r.pattern.trim() &&
+                RULE_ACTIONS.includes(r.action)
+        )
+        .map((r) => ({
+            pattern: r.pattern.trim(),
+            action: r.action,
+            minutes:
+                r.action === "timeout" && Number(r.minutes) > 0
+                    ? Number(r.minutes)
+                    : undefined,
+            ignorePinned:
+                typeof r.ignorePinned === "boolean" ? r.ignorePinned : null,
+            ignoreAudio:
+                typeof r.ignoreAudio === "boolean" ? r.ignoreAudio : null,
+        }))
+        .filter((r) => r.action !== "timeout" || r.minutes);
+}
+
+// "group:<title>" (wildcards allowed, case-insensitive) and
+// "color:<color>[,<color>]" patterns target tab groups instead of URLs and
+// are never split, since group titles may contain spaces.
+const GROUP_COLORS = [
+    "grey",
+    "blue",
+    "red",
+    "yellow",
+    "green",
+    "pink",
+    "purple",
+    "cyan",
+    "orange",
+];
+
+function isGroupPattern(pattern) {
+    return /^(group|color):/i.test((pattern || "").trim());
+}
+
+function groupPatternError(pattern) {
+    const [, kind, value] = pattern.trim().match(/^(group|color):(.*)$/i);
+    if (kind.toLowerCase() === "group") return null; // "group:" = untitled
+    const unknown = value
+        .split(",")
+        .map((c) => c.trim().toLowerCase())
+        .filter((c) => !GROUP_COLORS.includes(c));
+    return unknown.length ? `Unknown group color "${unknown[0]}"` : null;
+}
+
+function groupPatternMatches(pattern, group) {
+    if (!group || groupPatternError(pattern)) return false;
+    const [, kind, value] = pattern.trim().match(/^(group|color):(.*)$/i);
+    if (kind.toLowerCase() === "color") {
+        return value
+            .split(",")
+            .some((c) => c.trim().toLowerCase() === group.color);
+    }
+    return globToRegExp(value.trim()).test(group.title || "");
+}
+
+// Errors for a rule pattern, in the shape testWhitelist reports them
+function rulePatternErrors(pattern) {
+    if (isGroupPattern(pattern)) {
+        const error = groupPatternError(pattern);
+        return error ? [{ pattern, error }] : [];
+    }
+    return splitPatternList(pattern)
+        .map((p) => ({ pattern: p, error: compilePattern(p).error }))
+        .filter((e) => e.error);
+}
+
+// A rule pattern is a comma/space separated list of URL patterns, or a
+// single group pattern matched against the tab's group
+function ruleMatches(rule, url, group) {
+    if (isGroupPattern(rule.pattern))
+        return groupPatternMatches(rule.pattern, group);
+    return splitPatternList(rule.pattern).some((p) => patternMatches(p, url));
+}
+
+function findRule(url, groupId = -1) {
+    const group = groupId >= 0 ? tabGroupsById.get(groupId) : null;
+    return (currentSettings.rules || []).find((r) =>
+        ruleMatches(r, url, group)
+    );
+}
+
+// Inactivity threshold for a tab in ms, or null when it never times out
+function suspendThresholdFor(url, groupId = -1) {
+    const rule = findRule(url, groupId);
+    if (rule?.action === "never") return null;
+    if (rule?.action === "timeout") return rule.minutes * 60 * 1000;
+    if (!currentSettings.autoSuspend) return null;
+    return currentSettings.autoSuspendTime * 60 * 1000;
+}
+
+// Rules with their own timeout keep working when the global timer is "Never"
+function autoSuspendEnabled() {
+    return (
+        !!currentSettings.autoSuspend ||
+        !!currentSettings.suspendUnfocusedWindows ||
+        (currentSettings.rules || []).some((r) => r.action === "timeout")
+    );
+}
+
+// One-time move of the legacy whitelist into "never" rules
+function migrateWhitelistToRules(settings) {
+    const entries = whitelistEntries(settings.urlWhitelist);
+    return {
+        ...settings,
+        rules: [
+            ...(settings.rules || []),
+            ...entries.map(({ pattern }) => ({ pattern, action: "never" })),
+        ],
+        urlWhitelist: "",
+    };
+}
+
+function pageStateAllowed(url) {
+    if (!currentSettings.restorePageState) return false;
+    let host;
+    try {
+        host = new URL(url).hostname;
+    } catch {
+        return false;
+    }
+    return !(currentSettings.pageStateOptOut || "")
+        .split(/\r?\n|,/)
+        .map((e) => e.trim().toLowerCase())
+        .filter(Boolean)
+        .some((site) => hostMatches(host, site));
+}
+
+// Ask the content script for scroll offset and form values. Pages without
+// the content script (or slow ones) simply restore without state.
+async function capturePageState(tab) {
+    if (!pageStateAllowed(tab.url)) return undefined;
+    try {
+        return await Promise.race([
+            chrome.tabs.sendMessage(tab.id, { action: "captureState" }),
+            new Promise((resolve) => setTimeout(resolve, 1000)),
+        ]);
+    } catch {
+        return undefined;
+    }
+}
+
+const SUSPEND_STRATEGIES = ["discard", "replace", "navigate"];
+
+function hostMatches(host, site) {
+    return host === site || host.endsWith("." + site);
+}
+
+// Per-domain override first, then the global choice
+function strategyFor(url) {
+    let host = "";
+    try {
+        host = new URL(url).hostname;
+    } catch {}
+    for (const line of (currentSettings.strategyOverrides || "").split(
+        /\r?\n/
+    )) {
+        const [site, strategy] = line
+            .split("=")
+            .map((p) => p?.trim().toLowerCase());
+        if (
+            site &&
+            SUSPEND_STRATEGIES.includes(strategy) &&
+            hostMatches(host, site)
+        )
+            return strategy;
+    }
+    return SUSPEND_STRATEGIES.includes(currentSettings.suspendStrategy)
+        ? currentSettings.suspendStrategy
+        : DEFAULT_SETTINGS.suspendStrategy;
+}
+
+// A tab counts as suspended if it shows our page or Chrome discarded it
+function isTabSuspended(tab) {
+    return !!tab?.discarded || isExtensionSuspendedPage(tab?.url);
+}
+
+// ---------------------------- Thumbnails ----------------------------------
+const MAX_THUMBNAIL_BYTES = 200 * 1024;
+const MAX_RECENT_THUMBNAILS = 10;
+
+// Downscale and re-encode a capture. Falls back to the raw capture (already
+// a JPEG at the configured quality) when OffscreenCanvas is unavailable.
+async function compressThumbnail(dataUrl) {
+    if (typeof OffscreenCanvas === "undefined") return dataUrl;
+    const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+    const scale = Math.min(1, currentSettings.thumbnailMaxWidth / bitmap.width);
+    const canvas = new OffscreenCanvas(
+        Math.round(bitmap.width * scale),
+        Math.round(bitmap.height * scale)
+    );
+    canvas
+        .getContext("2d")
+        .drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    const blob = await canvas.convertToBlob({
+        type: "image/jpeg",
+        quality: currentSettings.thumbnailQuality / 100,
     });
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000)
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return "data:image/jpeg;base64," + btoa(binary);
+}
+
+// Only the visible tab of a window can be captured
+async function captureThumbnail(tab) {
+    if (!currentSettings.thumbnails || !tab?.active) return null;
+    const url = tab.url || "";
+    if (!url.startsWith("http") && !url.startsWith("file:")) return null;
+    try {
+        const raw = await chrome.tabs.captureVisibleTab(tab.windowId, {
+            format: "jpeg",
+            quality: currentSettings.thumbnailQuality,
+        });
+        const thumb = await compressThumbnail(raw);
+        if (!thumb || thumb.length > MAX_THUMBNAIL_BYTES) return null;
+        recentThumbnails.delete(tab.id);
+        recentThumbnails.set(tab.id, thumb);
+        if (recentThumbnails.size > MAX_RECENT_THUMBNAILS)
+            recentThumbnails.delete(recentThumbnails.keys().next().value);
+        return thumb;
+    } catch (e) {
+        console.warn("[captureThumbnail] error", e);
+        return null;
+    }
+}
+
+// Serialised so concurrent stores and drops do not lose index entries
+let thumbnailIndexChain = Promise.resolve();
+
+function updateThumbnailIndex(mutate) {
+    thumbnailIndexChain = thumbnailIndexChain
+        .then(async () => {
+            const stored = await chrome.storage.local.get(
+                STORAGE_KEYS.THUMBNAIL_INDEX
+            );
+            let keys = stored?.[STORAGE_KEYS.THUMBNAIL_INDEX];
+            // Thumbnails stored before the index existed
+            if (!Array.isArray(keys)) {
+                const all = await chrome.storage.local.get(null);
+                keys = Object.keys(all).filter((k) =>
+                    k.startsWith(STORAGE_KEYS.THUMBNAIL_PREFIX)
+                );
+            }
+            const index = new Set(keys);
+            mutate(index);
+            await chrome.storage.local.set({
+                [STORAGE_KEYS.THUMBNAIL_INDEX]: [...index],
+            });
+        })
+        .catch((e) => console.warn("[thumbnailIndex] error", e));
+    return thumbnailIndexChain;
+}
+
+// Indexed before it is written, so an interrupted store can still be pruned
+async function storeThumbnail(record, tabId, dataUrl) {
+    const thumb = dataUrl || recentThumbnails.get(tabId);
+    recentThumbnails.delete(tabId);
+    if (!thumb || !currentSettings.thumbnails) return;
+    const key = `${STORAGE_KEYS.THUMBNAIL_PREFIX}${record.originalTabId}-${record.suspendedAt}`;
+    try {
+        await updateThumbnailIndex((index) => index.add(key));
+        await chrome.storage.local.set({ [key]: thumb });
+        record.thumbnail = key;
+    } catch (e) {
+        console.warn("[storeThumbnail] error", e);
+    }
+}
+
+function dropThumbnail(record) {
+    if (!record?.thumbnail) return;
+    const key = record.thumbnail;
+    chrome.storage.local
+        .remove(key)
+        .then(() => updateThumbnailIndex((index) => index.delete(key)))
+        .catch((e) => console.warn("[dropThumbnail] error", e));
+}
+
+// Remove thumbnails whose records are gone (e.g. worker stopped mid-cleanup)
+async function pruneThumbnails() {
+    try {
+        const live = new Set(
+            Object.values(suspendedTabsCache).map((r) => r.thumbnail)
+        );
+        let stale = [];
+        await updateThumbnailIndex((index) => {
+            stale = [...index].filter((k) => !live.has(k));
+            stale.forEach((k) => index.delete(k));
+        });
+        if (stale.length) await chrome.storage.local.remove(stale);
+    } catch (e) {
+        console.warn("[pruneThumbnails] error", e);
+    }
+}
+
+// ---------------------------- Settings -------------------------------------
+// SETTINGS_MIGRATIONS[n] upgrades stored settings from schema version n to
+// n + 1. Settings saved before versioning existed count as version 0.
+const SETTINGS_MIGRATIONS = [
+    // 0 -> 1: whitelist lines become "never" rules
+    ({ whitelistMigrated, ...settings }) =>
+        whitelistMigrated ? settings : migrateWhitelistToRules(settings),
+];
+
+function settingsVersionOf(settings) {
+    const version = settings?.schemaVersion;
+    return Number.isInteger(version) && version >= 0 ? version : 0;
+}
+
+// Settings from a newer schema are passed through untouched; unknown keys
+// are ignored by the callers.
+function migrateSettings(saved) {
+    let settings = { ...saved };
+    for (let v = settingsVersionOf(saved); v < SETTINGS_VERSION; v++) {
+        settings = SETTINGS_MIGRATIONS[v](settings);
+    }
+    return {
+        ...settings,
+        schemaVersion: Math.max(settingsVersionOf(saved), SETTINGS_VERSION),
+    };
 }
 
 async function loadSettings() {
     try {
         const stored = await chrome.storage.local.get(STORAGE_KEYS.SETTINGS);
+        const saved = stored?.[STORAGE_KEYS.SETTINGS];
         currentSettings = {
             ...DEFAULT_SETTINGS,
-            ...(stored?.[STORAGE_KEYS.SETTINGS] || {}),
+            ...(saved ? migrateSettings(saved) : {}),
         };
+        const synced = currentSettings.syncSettings
+            ? await readSyncedSettings()
+            : null;
+        if (synced) Object.assign(currentSettings, synced);
+        currentSettings.rules = sanitizeRules(currentSettings.rules);
+        if (saved && (synced || settingsVersionOf(saved) < SETTINGS_VERSION)) {
+            await chrome.storage.local.set({
+                [STORAGE_KEYS.SETTINGS]: currentSettings,
+            });
+        }
         if (
             typeof currentSettings.autoSuspendTime !== "number" ||
             currentSettings.autoSuspendTime <= 0
         ) {
             currentSettings.autoSuspendTime = DEFAULT_SETTINGS.autoSuspendTime;
         }
-        await configureAlarm();
+        await configureMemoryAlarm();
+        configureIdle();
     } catch (e) {
         console.error("[loadSettings] error", e);
         currentSettings = { ...DEFAULT_SETTINGS };
     }
 }
 
-async function saveSettings(newSettings) {
+// fromSync: the change came from chrome.storage.sync and must not be pushed
+// back there.
+async function saveSettings(newSettings, { fromSync = false } = {}) {
     try {
+        const wasSyncing = !!currentSettings.syncSettings;
         currentSettings = { ...currentSettings, ...newSettings };
+        // Joining an existing shared config: the synced copy wins
+        if (!wasSyncing && currentSettings.syncSettings) {
+            const synced = await readSyncedSettings();
+            if (synced) Object.assign(currentSettings, synced);
+        }
+        currentSettings.rules = sanitizeRules(currentSettings.rules);
         await chrome.storage.local.set({
             [STORAGE_KEYS.SETTINGS]: currentSettings,
         });
+        if (!fromSync) await pushSyncedSettings();
         await configureAlarm();
+        await configureMemoryAlarm();
+        configureIdle();
+        enforceTabCap();
+        trackWindowFocus();
+        pruneExternalPorts();
+        scheduleBadgeUpdate();
         return true;
     } catch (e) {
         console.error("[saveSettings] error", e);
@@ -106,6 +669,99 @@ async function saveSettings(newSettings) {
     }
 }
 
+// Opt-in mirror in chrome.storage.sync. The local copy stays the one the
+// extension reads; the opt-in itself is per machine and never synced.
+let syncStatus = { at: null, error: null };
+
+function sharedSettings(settings) {
+    const { syncSettings, ...shared } = settings;
+    return shared;
+}
+
+async function readSyncedSettings() {
+    try {
+        const stored = await chrome.storage.sync.get(STORAGE_KEYS.SETTINGS);
+        const remote = stored?.[STORAGE_KEYS.SETTINGS];
+        if (!remote) return null;
+        const { settings, errors } = validateSettings(migrateSettings(remote));
+        if (errors.length) console.warn("[sync] ignored entries", errors);
+        delete settings.syncSettings;
+        syncStatus = { at: Date.now(), error: null };
+        return settings;
+    } catch (e) {
+        console.warn("[sync] read error", e);
+        syncStatus = { at: syncStatus.at, error: e.message };
+        return null;
+    }
+}
+
+async function pushSyncedSettings() {
+    if (!currentSettings.syncSettings) return;
+    try {
+        await chrome.storage.sync.set({
+            [STORAGE_KEYS.SETTINGS]: sharedSettings(currentSettings),
+        });
+        syncStatus = { at: Date.now(), error: null };
+    } catch (e) {
+        // Usually the per-item quota (8 KB) with very long rule lists
+        console.warn("[sync] write error", e);
+        syncStatus = { at: syncStatus.at, error: e.message };
+    }
+}
+
+chrome.storage.onChanged.addListener(async (changes, area) => {
+    await ready;
+    if (area !== "sync" || !changes[STORAGE_KEYS.SETTINGS]) return;
+    if (!currentSettings.syncSettings) return;
+    const synced = await readSyncedSettings();
+    if (synced) await saveSettings(synced, { fromSync: true });
+});
+
+function exportSettings() {
+    return {
+        format: SETTINGS_EXPORT_FORMAT,
+        version: SETTINGS_VERSION,
+        exportedAt: Date.now(),
+        settings: sharedSettings(currentSettings),
+    };
+}
+
+// Accepts an export file or a bare settings object. Invalid entries are
+// skipped and reported; the rest is applied.
+async function importSettings(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return { success: false, errors: ["File does not contain settings"] };
+    }
+    if (data.format != null && data.format !== SETTINGS_EXPORT_FORMAT) {
+        return {
+            success: false,
+            errors: [`Unsupported file format "${data.format}"`],
+        };
+    }
+    const raw =
+        data.format === SETTINGS_EXPORT_FORMAT
+            ? { ...data.settings, schemaVersion: data.version }
+            : data;
+    if (settingsVersionOf(raw) > SETTINGS_VERSION) {
+        return {
+            success: false,
+            errors: [
+                "These settings were exported by a newer version of the extension",
+            ],
+        };
+    }
+    const { settings, errors } = validateSettings(migrateSettings(raw));
+    delete settings.syncSettings;
+    if (!Object.keys(settings).length) {
+        return {
+            success: false,
+            errors: errors.length ? errors : ["File does not contain settings"],
+        };
+    }
+    const success = await saveSettings(settings);
+    return { success, applied: Object.keys(settings).length, errors };
+}
+
 async function loadSuspendedCache() {
     try {
         const res = await chrome.storage.local.get(STORAGE_KEYS.SUSPENDED_TABS);
@@ -126,6 +782,8 @@ async function loadSuspendedCache() {
 }
 
 async function persistSuspendedCache() {
+    // Every suspend and restore passes through here
+    scheduleBadgeUpdate();
     try {
         await chrome.storage.local.set({
             [STORAGE_KEYS.SUSPENDED_TABS]: suspendedTabsCache,
@@ -135,27 +793,226 @@ async function persistSuspendedCache() {
     }
 }
 
+function hasUnsavedForm(tabId) {
+    return !!currentSettings.ignoreForms && !!formDirtyMap[tabId];
+}
+
 function eligibleForSuspend(tab, reason) {
-    if (!tab || !tab.id) return false;
+    return checkEligibility(tab, reason).eligible;
+}
+
+// Why a tab cannot be suspended. `detail` names the matching pattern or
+// page signal where there is one.
+const ELIGIBILITY_MESSAGES = {
+    noTab: "Tab not found",
+    suspended: "Already suspended",
+    unsupportedScheme: "Unsupported URL scheme",
+    neverRule: "Site rule: never suspend",
+    pinned: "Pinned tab",
+    audible: "Playing audio",
+    snoozed: "Snoozed",
+    active: "Active tab",
+    whitelisted: "Whitelisted",
+    unsavedForm: "Unsaved form input",
+    pageSignal: "In use",
+    noTimeout: "No auto-suspend timeout",
+};
+
+function ineligible(code, detail = null) {
+    const message = ELIGIBILITY_MESSAGES[code];
+    return {
+        eligible: false,
+        code,
+        detail,
+        message: detail ? `${message} (${detail})` : message,
+    };
+}
+
+// { eligible: true } or ineligible() naming the first check that failed
+function checkEligibility(tab, reason) {
+    if (!tab || !tab.id) return ineligible("noTab");
+    if (isTabSuspended(tab)) return ineligible("suspended");
     const url = tab.url || "";
-    if (!url.startsWith("http") && !url.startsWith("file:")) return false; // skip chrome:// etc
-    if (isExtensionSuspendedPage(url)) return false;
-    if (currentSettings.ignorePinned && tab.pinned) return false;
-    if (currentSettings.ignoreAudio && tab.audible) return false;
-    if (currentSettings.ignoreActive && tab.active && reason === "auto")
-        return false;
-    if (isWhitelisted(url)) return false;
-    return true;
+    // chrome://, extension pages, about: and data: URLs
+    if (!url.startsWith("http") && !url.startsWith("file:"))
+        return ineligible("unsupportedScheme", url.split(":")[0] || null);
+    const rule = findRule(url, tab.groupId);
+    if (rule?.action === "never") return ineligible("neverRule", rule.pattern);
+    if ((rule?.ignorePinned ?? currentSettings.ignorePinned) && tab.pinned)
+        return ineligible("pinned");
+    if ((rule?.ignoreAudio ?? currentSettings.ignoreAudio) && tab.audible)
+        return ineligible("audible");
+    if (reason !== "manual" && isSnoozed(tab.id)) return ineligible("snoozed");
+    // A minimized window's active tab is not on screen
+    if (
+        currentSettings.ignoreActive &&
+        tab.active &&
+        reason !== "manual" &&
+        !(reason === "window" && unfocusedWindows[tab.windowId]?.minimized)
+    )
+        return ineligible("active");
+    const whitelisted = whitelistMatch(url);
+    if (whitelisted) return ineligible("whitelisted", whitelisted.pattern);
+    // Manual suspends ask the user instead (see suspendTab)
+    if (reason !== "manual" && hasUnsavedForm(tab.id))
+        return ineligible("unsavedForm");
+    const signal = reason !== "manual" && blockingPageSignal(tab.id);
+    if (signal) return ineligible("pageSignal", PAGE_SIGNAL_LABELS[signal]);
+    return { eligible: true };
+}
+
+// Setting that lets each page signal protect a tab
+const PAGE_SIGNAL_SETTINGS = {
+    media: "ignoreMedia",
+    fullscreen: "ignoreFullscreen",
+    pictureInPicture: "ignoreFullscreen",
+    webrtc: "ignoreCalls",
+    capture: "ignoreCalls",
+    optOut: "honorPageOptOut",
+};
+
+const PAGE_SIGNAL_LABELS = {
+    media: "playing media",
+    fullscreen: "fullscreen",
+    pictureInPicture: "picture-in-picture",
+    webrtc: "call in progress",
+    capture: "camera or screen capture",
+    optOut: "page opted out",
+};
+
+// The first reported signal that currently protects the tab, or null
+function blockingPageSignal(tabId) {
+    const signals = pageSignals[tabId];
+    if (!signals) return null;
+    return (
+        Object.keys(PAGE_SIGNAL_SETTINGS).find(
+            (key) => signals[key] && currentSettings[PAGE_SIGNAL_SETTINGS[key]]
+        ) || null
+    );
+}
+
+// ---------------------------- Statistics -----------------------------------
+// Compact counters for the options page: one bucket per local day, kept for
+// STATS_DAYS, plus running totals. Counts are keyed by suspend/restore reason.
+const STATS_DAYS = 90;
+const STATS_MAX_DOMAINS = 50;
+// Chrome exposes no per-tab memory figures to extensions, so each suspension
+// is credited with the footprint of an average renderer process.
+const ESTIMATED_TAB_MB = 80;
+
+function emptyStats() {
+    return {
+        since: Date.now(),
+        // "YYYY-MM-DD" -> { suspends: {reason: n}, restores, memoryMb }
+        days: {},
+        domains: {}, // hostname -> suspensions
+        suspendedMs: 0, // total time restored tabs spent suspended
+        timedRestores: 0,
+    };
+}
+
+function dayKey(ts = Date.now()) {
+    const d = new Date(ts);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+async function loadStats() {
+    const stored = await chrome.storage.local.get(STORAGE_KEYS.STATS);
+    return stored?.[STORAGE_KEYS.STATS] || emptyStats();
+}
+
+// Read-modify-write calls are chained so bulk suspends lose no increments
+let statsChain = Promise.resolve();
+
+function updateStats(mutate) {
+    statsChain = statsChain
+        .then(async () => {
+            const stats = await loadStats();
+            const key = dayKey();
+            stats.days[key] = stats.days[key] || {
+                suspends: {},
+                restores: {},
+                memoryMb: 0,
+            };
+            mutate(stats, stats.days[key]);
+            const days = Object.keys(stats.days).sort();
+            days.slice(0, -STATS_DAYS).forEach((d) => delete stats.days[d]);
+            await chrome.storage.local.set({ [STORAGE_KEYS.STATS]: stats });
+        })
+        .catch((e) => console.warn("[stats] error", e));
+    return statsChain;
+}
+
+function recordSuspend(url, reason) {
+    let host = "";
+    try {
+        host = new URL(url).hostname;
+    } catch {}
+    updateStats((stats, day) => {
+        day.suspends[reason] = (day.suspends[reason] || 0) + 1;
+        day.memoryMb += ESTIMATED_TAB_MB;
+        if (!host) return;
+        stats.domains[host] = (stats.domains[host] || 0) + 1;
+        // Trim in batches rather than sorting on every suspend
+        const hosts = Object.keys(stats.domains);
+        if (hosts.length > STATS_MAX_DOMAINS * 2) {
+            hosts
+                .sort((a, b) => stats.domains[b] - stats.domains[a])
+                .slice(STATS_MAX_DOMAINS)
+                .forEach((h) => delete stats.domains[h]);
+        }
+    });
+}
+
+function recordRestore(rec, reason = "manual") {
+    updateStats((stats, day) => {
+        day.restores[reason] = (day.restores[reason] || 0) + 1;
+        if (rec?.suspendedAt) {
+            stats.suspendedMs += Math.max(0, Date.now() - rec.suspendedAt);
+            stats.timedRestores++;
+        }
+    });
+}
+
+async function getStats() {
+    await statsChain;
+    const stats = await loadStats();
+    const topDomains = Object.entries(stats.domains)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .map(([host, count]) => ({ host, count }));
+    return {
+        since: stats.since,
+        days: stats.days,
+        topDomains,
+        averageSuspendedMs: stats.timedRestores
+            ? stats.suspendedMs / stats.timedRestores
+            : null,
+        estimatedTabMb: ESTIMATED_TAB_MB,
+    };
+}
+
+async function resetStats() {
+    await statsChain;
+    await chrome.storage.local.set({ [STORAGE_KEYS.STATS]: emptyStats() });
+    return { success: true };
 }
 
 // ---------------------------- Suspension Core ------------------------------
-async function suspendTab(tabId, reason = "manual") {
+// Pass { force: true } once the user has confirmed losing unsaved form input.
+async function suspendTab(tabId, reason = "manual", { force = false } = {}) {
     try {
         const tab = await chrome.tabs.get(tabId);
-        if (!eligibleForSuspend(tab, reason)) return { success: false };
-        if (isExtensionSuspendedPage(tab.url))
-            return { success: false, already: true };
+        const eligibility = checkEligibility(tab, reason);
+        if (!eligibility.eligible) {
+            return eligibility.code === "suspended"
+                ? { success: false, already: true, eligibility }
+                : { success: false, ignored: true, eligibility };
+        }
         if (suspendedTabsCache[tabId]) return { success: false, already: true };
+        if (!force && hasUnsavedForm(tabId))
+            return { success: false, unsavedForm: true };
 
         const baseRecord = {
             url: tab.url,
@@ -169,9 +1026,47 @@ async function suspendTab(tabId, reason = "manual") {
             pinned: tab.pinned,
             wasActive: tab.active,
         };
+        const strategy = strategyFor(tab.url);
+
+        // Native discard keeps URL, title, favicon and history; Chrome
+        // reloads the page itself on focus. The visible tab cannot be
+        // discarded, so that case falls through to replace.
+        if (strategy === "discard" && !tab.active) {
+            try {
+                const discarded = await chrome.tabs.discard(tab.id);
+                if (discarded?.id != null) {
+                    suspendedTabsCache[discarded.id] = {
+                        ...baseRecord,
+                        strategy: "discard",
+                    };
+                    await persistSuspendedCache();
+                    recordSuspend(baseRecord.url, reason);
+                    announceTabEvent(
+                        "suspended",
+                        discarded.id,
+                        baseRecord,
+                        reason
+                    );
+                    return {
+                        success: true,
+                        discarded: true,
+                        tabId: discarded.id,
+                    };
+                }
+            } catch (errDiscard) {
+                console.warn(
+                    "[suspendTab] discard strategy failed; fallback to replace",
+                    errDiscard
+                );
+            }
+        }
+
+        const pageState = await capturePageState(tab);
+        if (pageState) baseRecord.pageState = pageState;
+        let groupRejoinFailed = false;
+        await storeThumbnail(baseRecord, tab.id, await captureThumbnail(tab));
 
-        // Always attempt aggressive replace strategy (no user toggle)
-        {
+        if (strategy !== "navigate") {
             try {
                 const suspendedUrl = getSuspendedUrl(
                     baseRecord.url,
@@ -192,14 +1087,17 @@ async function suspendTab(tabId, reason = "manual") {
                             index: baseRecord.index,
                         });
                 } catch {}
-                // Preserve group membership if possible
-                if (typeof tab.groupId === "number" && tab.groupId >= 0) {
+                // A placeholder outside the group would silently pull the
+                // tab out of it; suspend in place instead
+                if (
+                    tab.groupId >= 0 &&
+                    !(await rejoinGroup(newTab.id, tab.groupId))
+                ) {
+                    groupRejoinFailed = true;
                     try {
-                        await chrome.tabs.group({
-                            tabIds: newTab.id,
-                            groupId: tab.groupId,
-                        });
+                        await chrome.tabs.remove(newTab.id);
                     } catch {}
+                    throw new Error(`could not rejoin group ${tab.groupId}`);
                 }
 
                 suspendedTabsCache[newTab.id] = {
@@ -211,7 +1109,9 @@ async function suspendTab(tabId, reason = "manual") {
                 try {
                     await chrome.tabs.remove(tab.id);
                 } catch {}
-                return { success: true, replaced: true };
+                recordSuspend(baseRecord.url, reason);
+                announceTabEvent("suspended", newTab.id, baseRecord, reason);
+                return { success: true, replaced: true, tabId: newTab.id };
             } catch (errReplace) {
                 console.warn(
                     "[suspendTab] replace strategy failed; fallback to navigate",
@@ -227,24 +1127,65 @@ async function suspendTab(tabId, reason = "manual") {
         await chrome.tabs.update(tabId, {
             url: getSuspendedUrl(record.url, record.title),
         });
-        return { success: true, navigated: true };
+        recordSuspend(record.url, reason);
+        announceTabEvent("suspended", tabId, record, reason);
+        return groupRejoinFailed
+            ? { success: true, navigated: true, tabId, groupRejoinFailed }
+            : { success: true, navigated: true, tabId };
     } catch (e) {
         console.warn("suspendTab error", e);
         return { success: false, error: e?.message };
     }
 }
 
-async function unsuspendTab(tabId) {
+// Verified and retried: grouping fails transiently while tabs are dragged
+async function rejoinGroup(tabId, groupId) {
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        try {
+            await chrome.tabs.group({ tabIds: tabId, groupId });
+            if ((await chrome.tabs.get(tabId)).groupId === groupId) return true;
+        } catch (e) {
+            console.warn(`[rejoinGroup] attempt ${attempt} failed`, e);
+        }
+        await new Promise((r) => setTimeout(r, 200 * attempt));
+    }
+    return false;
+}
+
+// Pass { activate: false } to restore a replaced tab without switching to it
+async function unsuspendTab(
+    tabId,
+    reason = "manual",
+    { activate = true } = {}
+) {
     try {
+        if (lazyRestoreTabs.delete(tabId)) persistLazyRestore();
         const rec = suspendedTabsCache[tabId];
-        if (!rec) return { success: false, notSuspended: true };
+        if (!rec) {
+            // Tabs discarded by Chrome itself (or a lost record) still count
+            const tab = await chrome.tabs.get(tabId);
+            if (!tab.discarded) return { success: false, notSuspended: true };
+            await chrome.tabs.reload(tabId);
+            recordRestore(null, reason);
+            announceTabEvent("restored", tabId, tab, reason);
+            return { success: true, restored: "discard" };
+        }
         delete suspendedTabsCache[tabId];
         await persistSuspendedCache();
+        dropThumbnail(rec);
+        recordRestore(rec, reason);
+        announceTabEvent("restored", tabId, rec, reason);
+        if (rec.strategy !== "discard") rememberRestoredUrl(tabId, rec.url);
+        if (rec.pageState)
+            pendingPageState[tabId] = { url: rec.url, state: rec.pageState };
 
-        if (rec.strategy === "replace") {
+        if (rec.strategy === "discard") {
+            await chrome.tabs.reload(tabId);
+            return { success: true, restored: "discard" };
+        } else if (rec.strategy === "replace") {
             await chrome.tabs.update(tabId, {
                 url: rec.url,
-                active: true,
+                active: activate,
                 pinned: rec.pinned,
             });
             return { success: true, restored: "replace" };
@@ -257,18 +1198,78 @@ async function unsuspendTab(tabId) {
     }
 }
 
+// Goes through the restore queue; resolves once the tabs are queued, with
+// the queue's progress
 async function unsuspendAllTabs() {
-    const ids = Object.keys(suspendedTabsCache).map(Number);
-    let restored = 0;
-    for (const id of ids) {
+    const tabs = (await chrome.tabs.query({})).filter(
+        (tab) => suspendedTabsCache[tab.id] || tab.discarded
+    );
+    // Visible tabs first
+    tabs.sort((a, b) => b.active - a.active);
+    let now = tabs;
+    if (currentSettings.lazyRestore) {
+        now = tabs.filter((tab) => tab.active);
+        for (const tab of tabs) if (!tab.active) lazyRestoreTabs.add(tab.id);
+        await persistLazyRestore();
+    }
+    return { success: true, ...enqueueRestore(now.map((tab) => tab.id)) };
+}
+
+// Records joined with live tab and window info for the popup list, grouped
+// by window (focused window first) in tab strip order
+async function listSuspendedTabs() {
+    const [tabs, windows] = await Promise.all([
+        chrome.tabs.query({}),
+        chrome.windows.getAll(),
+    ]);
+    const groups = new Map(
+        windows
+            .sort((a, b) => Number(b.focused) - Number(a.focused))
+            .map((w) => [
+                w.id,
+                { windowId: w.id, focused: !!w.focused, tabs: [] },
+            ])
+    );
+    for (const tab of tabs) {
+        const rec = suspendedTabsCache[tab.id];
+        const group = groups.get(tab.windowId);
+        if (!rec || !group) continue;
+        let domain = "";
         try {
-            const res = await unsuspendTab(id);
-            if (res.success) restored++;
-        } catch (e) {
-            console.warn("[unsuspendAllTabs] per-tab error", e);
-        }
+            domain = new URL(rec.url).hostname;
+        } catch {}
+        group.tabs.push({
+            tabId: tab.id,
+            index: tab.index,
+            title: rec.title || rec.url,
+            url: rec.url,
+            domain,
+            suspendedAt: rec.suspendedAt,
+            reason: rec.reason,
+            strategy: rec.strategy,
+        });
+    }
+    const result = [...groups.values()].filter((g) => g.tabs.length);
+    result.forEach((g) => g.tabs.sort((a, b) => a.index - b.index));
+    return { windows: result };
+}
+
+// Restore a listed tab and bring it to the front
+async function openSuspendedTab(tabId) {
+    if (!suspendedTabsCache[tabId]) return { success: false };
+    const res = await unsuspendTab(tabId);
+    try {
+        const tab = await chrome.tabs.update(tabId, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+    } catch (e) {
+        console.warn("[openSuspendedTab] focus error", e);
     }
-    return { success: true, count: restored };
+    return res;
+}
+
+async function countSuspendedTabs() {
+    const tabs = await chrome.tabs.query({});
+    return tabs.filter(isTabSuspended).length;
 }
 
 async function suspendAllTabs(includeActive = true) {
@@ -286,12 +1287,16 @@ async function suspendAllTabs(includeActive = true) {
     return { success: true, count };
 }
 
-async function suspendOtherTabs() {
-    const [active] = await chrome.tabs.query({
-        active: true,
-        currentWindow: true,
-    });
-    const tabs = await chrome.tabs.query({ currentWindow: true });
+// Suspends every tab in the window except `keepTab` (default: the active
+// tab of the current window)
+async function suspendOtherTabs(keepTab) {
+    const [active] = keepTab
+        ? [keepTab]
+        : await chrome.tabs.query({
+              active: true,
+              currentWindow: true,
+          });
+    const tabs = await chrome.tabs.query({ windowId: active.windowId });
     let count = 0;
     for (const tab of tabs) {
         try {
@@ -305,125 +1310,1376 @@ async function suspendOtherTabs() {
     return { success: true, count };
 }
 
-// ---------------------------- Auto Suspension (Dynamic Single Alarm) -----
-const SCAN_ALARM = "ts_scan";
-let scanRunning = false;
-let scanRerunRequested = false;
-
-async function runInactivityScan() {
-    if (scanRunning) {
-        scanRerunRequested = true;
-        return;
-    }
-    scanRunning = true;
+// ---------------------------- Tab Groups -----------------------------------
+async function refreshTabGroups() {
     try {
-        chrome.alarms.clear(SCAN_ALARM).catch(() => {}); // prevent overlap
-        if (!currentSettings.autoSuspend) return;
-        const thresholdMs = currentSettings.autoSuspendTime * 60 * 1000;
-        if (!thresholdMs) return;
-        const now = Date.now();
-        let nextDelay = Infinity;
-        const tabs = await chrome.tabs.query({});
-        for (const tab of tabs) {
-            if (!tab.id) continue;
-            if (isExtensionSuspendedPage(tab.url)) continue;
-
-            // Initialize activity tracking for new tabs using lastAccessed, not current time
-            if (!lastActivityMap[tab.id] && tab.lastAccessed) {
-                lastActivityMap[tab.id] = tab.lastAccessed;
-            }
+        const groups = await chrome.tabGroups.query({});
+        tabGroupsById.clear();
+        groups.forEach((g) => tabGroupsById.set(g.id, g));
+    } catch (e) {
+        console.warn("[refreshTabGroups] error", e);
+    }
+}
 
-            const last = lastActivityMap[tab.id] || tab.lastAccessed;
-            if (!last) continue; // Skip tabs without any activity info
+// groupId defaults to the group of the active tab in the current window
+async function resolveGroupId(groupId) {
+    if (typeof groupId === "number" && groupId >= 0) return groupId;
+    const [active] = await chrome.tabs.query({
+        active: true,
+        currentWindow: true,
+    });
+    return active?.groupId >= 0 ? active.groupId : null;
+}
 
-            const inactiveFor = now - last;
-            if (inactiveFor >= thresholdMs) {
-                if (eligibleForSuspend(tab, "auto")) {
-                    try {
-                        await suspendTab(tab.id, "auto");
-                    } catch (e) {
-                        console.warn("[autoSuspend]", e);
-                    }
+async function suspendGroup(groupId, reason = "manual") {
+    const id = await resolveGroupId(groupId);
+    if (id == null) return { success: false, noGroup: true };
+    const tabs = await chrome.tabs.query({ groupId: id });
+    let count = 0;
+    let groupRejoinFailed = 0;
+    for (const tab of tabs) {
+        try {
+            const res = await suspendTab(tab.id, reason);
+            if (res.success) count++;
+            if (res.groupRejoinFailed) groupRejoinFailed++;
+        } catch (e) {
+            console.warn("[suspendGroup] per-tab error", e);
+        }
+    }
+    return { success: true, count, groupRejoinFailed };
+}
+
+// reason "group" only restores what collapsing the group suspended
+async function unsuspendGroup(groupId, reason = "manual") {
+    const id = await resolveGroupId(groupId);
+    if (id == null) return { success: false, noGroup: true };
+    const tabs = await chrome.tabs.query({ groupId: id });
+    let count = 0;
+    for (const tab of tabs) {
+        const rec = suspendedTabsCache[tab.id];
+        if (reason === "group" ? rec?.reason !== "group" : !isTabSuspended(tab))
+            continue;
+        try {
+            // Activating a tab would expand a collapsed group again
+            const res = await unsuspendTab(tab.id, reason, {
+                activate: false,
+            });
+            if (res.success) count++;
+        } catch (e) {
+            console.warn("[unsuspendGroup] per-tab error", e);
+        }
+    }
+    return { success: true, count };
+}
+
+chrome.tabGroups.onCreated.addListener(async (group) => {
+    await ready;
+    tabGroupsById.set(group.id, group);
+});
+
+chrome.tabGroups.onRemoved.addListener(async (group) => {
+    await ready;
+    tabGroupsById.delete(group.id);
+});
+
+// Also fires for title and colour edits, so act only on collapse changes
+chrome.tabGroups.onUpdated.addListener(async (group) => {
+    await ready;
+    const previous = tabGroupsById.get(group.id);
+    tabGroupsById.set(group.id, group);
+    if (!currentSettings.suspendCollapsedGroups) return;
+    if (previous && previous.collapsed === group.collapsed) return;
+    if (group.collapsed) suspendGroup(group.id, "group");
+    else unsuspendGroup(group.id, "group");
+});
+
+// ---------------------------- Windows --------------------------------------
+// Falls back to the current window when no window id is given
+async function resolveWindowId(windowId) {
+    if (typeof windowId === "number" && windowId >= 0) return windowId;
+    return (await chrome.windows.getCurrent()).id;
+}
+
+async function suspendWindow(windowId) {
+    const id = await resolveWindowId(windowId);
+    const tabs = await chrome.tabs.query({ windowId: id });
+    let count = 0;
+    for (const tab of tabs) {
+        try {
+            const res = await suspendTab(tab.id, "manual");
+            if (res.success) count++;
+        } catch (e) {
+            console.warn("[suspendWindow] per-tab error", e);
+        }
+    }
+    return { success: true, count };
+}
+
+// Restores in the background so the current tab stays in front
+async function unsuspendWindow(windowId) {
+    const id = await resolveWindowId(windowId);
+    const tabs = await chrome.tabs.query({ windowId: id });
+    let count = 0;
+    for (const tab of tabs) {
+        if (!isTabSuspended(tab)) continue;
+        try {
+            const res = await unsuspendTab(tab.id, "manual", {
+                activate: false,
+            });
+            if (res.success) count++;
+        } catch (e) {
+            console.warn("[unsuspendWindow] per-tab error", e);
+        }
+    }
+    return { success: true, count };
+}
+
+// Windows past the unfocused limit, and the time until the next one gets there
+function unfocusedWindowsDue(now = Date.now()) {
+    const due = new Set();
+    let nextDelay = Infinity;
+    if (!currentSettings.suspendUnfocusedWindows) return { due, nextDelay };
+    const limitMs = currentSettings.unfocusedWindowMinutes * 60 * 1000;
+    for (const [id, { since }] of Object.entries(unfocusedWindows)) {
+        const remaining = since + limitMs - now;
+        if (remaining <= 0) due.add(Number(id));
+        else nextDelay = Math.min(nextDelay, remaining);
+    }
+    return { due, nextDelay };
+}
+
+async function loadUnfocusedWindows() {
+    try {
+        const session = await chrome.storage.session.get(
+            SESSION_KEYS.UNFOCUSED_WINDOWS
+        );
+        unfocusedWindows = session?.[SESSION_KEYS.UNFOCUSED_WINDOWS] || {};
+    } catch (e) {
+        console.error("[loadUnfocusedWindows] error", e);
+    }
+}
+
+async function persistUnfocusedWindows() {
+    try {
+        await chrome.storage.session.set({
+            [SESSION_KEYS.UNFOCUSED_WINDOWS]: unfocusedWindows,
+        });
+    } catch (e) {
+        console.error("[persistUnfocusedWindows] error", e);
+    }
+}
+
+// Starts the clock for windows that lost focus and stops it for the focused
+// one. WINDOW_ID_NONE means Chrome itself lost focus: the window the user
+// was last in keeps running unless it was minimized.
+async function trackWindowFocus(focusedId) {
+    if (!currentSettings.suspendUnfocusedWindows) {
+        if (Object.keys(unfocusedWindows).length) {
+            unfocusedWindows = {};
+            await persistUnfocusedWindows();
+        }
+        return;
+    }
+    try {
+        if (focusedId === undefined)
+            focusedId = (await chrome.windows.getLastFocused()).id;
+        const windows = await chrome.windows.getAll({
+            windowTypes: ["normal"],
+        });
+        const now = Date.now();
+        const next = {};
+        for (const w of windows) {
+            const minimized = w.state === "minimized";
+            const previous = unfocusedWindows[w.id];
+            const focused =
+                focusedId === chrome.windows.WINDOW_ID_NONE
+                    ? !previous && !minimized
+                    : w.id === focusedId;
+            if (!focused)
+                next[w.id] = { since: previous?.since ?? now, minimized };
+        }
+        unfocusedWindows = next;
+        await persistUnfocusedWindows();
+        if (autoSuspendEnabled()) runInactivityScan();
+    } catch (e) {
+        console.warn("[trackWindowFocus] error", e);
+    }
+}
+
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+    await ready;
+    trackWindowFocus(windowId);
+});
+
+chrome.windows.onRemoved.addListener(async (windowId) => {
+    await ready;
+    if (!(windowId in unfocusedWindows)) return;
+    delete unfocusedWindows[windowId];
+    persistUnfocusedWindows();
+});
+
+// ---------------------------- Restore Queue --------------------------------
+// Bulk restores load restoreConcurrency tabs at a time instead of every tab
+// at once. The queue lives in memory only: if the worker restarts midway
+// the remaining tabs simply stay suspended.
+const RESTORE_LOAD_TIMEOUT_MS = 30 * 1000;
+// { pending: tabId[], loading: Set<tabId>, total, done, failed, cancelled }
+let restoreQueue = null;
+const tabLoadWaiters = new Map(); // tabId -> resolve, see onUpdated
+
+function restoreProgress() {
+    return {
+        running: !!restoreQueue,
+        total: restoreQueue?.total ?? 0,
+        done: restoreQueue?.done ?? 0,
+        failed: restoreQueue?.failed ?? 0,
+        cancelled: !!restoreQueue?.cancelled,
+        lazy: lazyRestoreTabs.size,
+    };
+}
+
+// Resolves when the tab has loaded or closed, or after the timeout
+function waitForTabLoad(tabId) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(done, RESTORE_LOAD_TIMEOUT_MS);
+        function done() {
+            clearTimeout(timer);
+            tabLoadWaiters.delete(tabId);
+            resolve();
+        }
+        tabLoadWaiters.set(tabId, done);
+    });
+}
+
+async function restoreQueued(tabId) {
+    const loaded = waitForTabLoad(tabId);
+    const res = await unsuspendTab(tabId, "manual", { activate: false });
+    if (res.success) await loaded;
+    else tabLoadWaiters.get(tabId)?.();
+    return res.success;
+}
+
+function pumpRestoreQueue() {
+    const queue = restoreQueue;
+    if (!queue) return;
+    while (
+        queue.pending.length &&
+        queue.loading.size < currentSettings.restoreConcurrency
+    ) {
+        const tabId = queue.pending.shift();
+        queue.loading.add(tabId);
+        restoreQueued(tabId)
+            .catch((e) => {
+                console.warn("[restoreQueue] per-tab error", e);
+                return false;
+            })
+            .then((ok) => {
+                queue.done++;
+                if (!ok) queue.failed++;
+                queue.loading.delete(tabId);
+                pumpRestoreQueue();
+            });
+    }
+    if (!queue.loading.size) restoreQueue = null;
+}
+
+// Adds tabs to the running queue, or starts one
+function enqueueRestore(tabIds) {
+    if (!restoreQueue) {
+        restoreQueue = {
+            pending: [],
+            loading: new Set(),
+            total: 0,
+            done: 0,
+            failed: 0,
+            cancelled: false,
+        };
+    }
+    const queued = new Set([...restoreQueue.pending, ...restoreQueue.loading]);
+    for (const tabId of tabIds) {
+        if (queued.has(tabId)) continue;
+        queued.add(tabId);
+        restoreQueue.pending.push(tabId);
+        restoreQueue.total++;
+        restoreQueue.cancelled = false;
+    }
+    pumpRestoreQueue();
+    return restoreProgress();
+}
+
+// Tabs already loading finish; everything else stays suspended
+async function cancelRestore() {
+    if (restoreQueue) {
+        restoreQueue.cancelled = true;
+        restoreQueue.pending = [];
+    }
+    if (lazyRestoreTabs.size) {
+        lazyRestoreTabs.clear();
+        await persistLazyRestore();
+    }
+    pumpRestoreQueue();
+    return restoreProgress();
+}
+
+async function loadLazyRestore() {
+    try {
+        const session = await chrome.storage.session.get(
+            SESSION_KEYS.LAZY_RESTORE
+        );
+        lazyRestoreTabs = new Set(session?.[SESSION_KEYS.LAZY_RESTORE] || []);
+    } catch (e) {
+        console.error("[loadLazyRestore] error", e);
+    }
+}
+
+async function persistLazyRestore() {
+    try {
+        await chrome.storage.session.set({
+            [SESSION_KEYS.LAZY_RESTORE]: [...lazyRestoreTabs],
+        });
+    } catch (e) {
+        console.error("[persistLazyRestore] error", e);
+    }
+}
+
+// ---------------------------- Snooze ---------------------------------------
+const SNOOZE_DURATIONS = {
+    "15m": 15 * 60 * 1000,
+    "1h": 60 * 60 * 1000,
+    restart: null, // cleared in onStartup
+    forever: null,
+};
+
+function activeSnooze(snooze, now = Date.now()) {
+    if (!snooze) return null;
+    return snooze.until == null || snooze.until > now ? snooze : null;
+}
+
+function isSnoozed(tabId) {
+    return !!(activeSnooze(globalSnooze) || activeSnooze(tabSnoozes[tabId]));
+}
+
+function snoozeFromDuration(duration) {
+    if (!(duration in SNOOZE_DURATIONS))
+        throw new Error(`Unknown snooze duration "${duration}"`);
+    const ms = SNOOZE_DURATIONS[duration];
+    return {
+        until: ms == null ? null : Date.now() + ms,
+        untilRestart: duration === "restart",
+    };
+}
+
+async function loadSnoozes() {
+    try {
+        const local = await chrome.storage.local.get(
+            STORAGE_KEYS.GLOBAL_SNOOZE
+        );
+        globalSnooze = activeSnooze(local?.[STORAGE_KEYS.GLOBAL_SNOOZE]);
+        const session = await chrome.storage.session.get(
+            SESSION_KEYS.TAB_SNOOZES
+        );
+        tabSnoozes = session?.[SESSION_KEYS.TAB_SNOOZES] || {};
+    } catch (e) {
+        console.error("[loadSnoozes] error", e);
+    }
+}
+
+async function persistSnoozes() {
+    scheduleBadgeUpdate();
+    try {
+        await chrome.storage.local.set({
+            [STORAGE_KEYS.GLOBAL_SNOOZE]: globalSnooze,
+        });
+        await chrome.storage.session.set({
+            [SESSION_KEYS.TAB_SNOOZES]: tabSnoozes,
+        });
+    } catch (e) {
+        console.error("[persistSnoozes] error", e);
+    }
+}
+
+// Passing no tabId snoozes all auto-suspension
+async function snoozeTab(tabId, duration) {
+    const snooze = snoozeFromDuration(duration);
+    if (tabId == null) globalSnooze = snooze;
+    else tabSnoozes[tabId] = snooze;
+    await persistSnoozes();
+    await configureAlarm(); // reschedule around the expiry
+    rebuildContextMenu();
+    return { success: true, snooze: getSnoozeState(tabId) };
+}
+
+async function cancelSnooze(tabId) {
+    if (tabId == null) globalSnooze = null;
+    else delete tabSnoozes[tabId];
+    await persistSnoozes();
+    await configureAlarm();
+    rebuildContextMenu();
+    return { success: true };
+}
+
+// Toggle used by the keyboard shortcuts
+async function toggleSnooze(tabId, duration = "1h") {
+    const current = tabId == null ? globalSnooze : tabSnoozes[tabId];
+    return activeSnooze(current)
+        ? cancelSnooze(tabId)
+        : snoozeTab(tabId, duration);
+}
+
+function describeSnooze(snooze, now = Date.now()) {
+    if (!activeSnooze(snooze, now)) return null;
+    return {
+        until: snooze.until,
+        untilRestart: !!snooze.untilRestart,
+        remainingMs: snooze.until == null ? null : snooze.until - now,
+    };
+}
+
+function getSnoozeState(tabId) {
+    return {
+        global: describeSnooze(globalSnooze),
+        tab: tabId == null ? null : describeSnooze(tabSnoozes[tabId]),
+    };
+}
+
+// ---------------------------- Activity Tracking ----------------------------
+// lastActivityMap is mirrored in storage.session so an evicted worker picks
+// up where it left off instead of falling back to tab.lastAccessed. Writes
+// are batched: content scripts ping on every burst of input.
+const ACTIVITY_FLUSH_MS = 2000;
+let activityFlushTimer = null;
+let activityLoaded = null;
+
+function touchActivity(tabId, at = Date.now()) {
+    lastActivityMap[tabId] = at;
+    scheduleActivityFlush();
+}
+
+function forgetActivity(tabId) {
+    if (!(tabId in lastActivityMap)) return;
+    delete lastActivityMap[tabId];
+    scheduleActivityFlush();
+}
+
+function scheduleActivityFlush() {
+    if (activityFlushTimer) return;
+    activityFlushTimer = setTimeout(flushActivity, ACTIVITY_FLUSH_MS);
+}
+
+async function flushActivity() {
+    activityFlushTimer = null;
+    try {
+        await chrome.storage.session.set({
+            [SESSION_KEYS.ACTIVITY]: lastActivityMap,
+        });
+    } catch (e) {
+        console.error("[flushActivity] error", e);
+    }
+}
+
+// Activity recorded before the stored map arrived is newer, so keep the
+// later timestamp of the two
+async function loadActivity() {
+    try {
+        const session = await chrome.storage.session.get(SESSION_KEYS.ACTIVITY);
+        const stored = session?.[SESSION_KEYS.ACTIVITY] || {};
+        for (const [tabId, at] of Object.entries(stored)) {
+            lastActivityMap[tabId] = Math.max(lastActivityMap[tabId] || 0, at);
+        }
+    } catch (e) {
+        console.error("[loadActivity] error", e);
+    }
+}
+
+async function loadPageSignals() {
+    try {
+        const session = await chrome.storage.session.get(
+            SESSION_KEYS.PAGE_SIGNALS
+        );
+        pageSignals = {
+            ...session?.[SESSION_KEYS.PAGE_SIGNALS],
+            ...pageSignals,
+        };
+    } catch (e) {
+        console.error("[loadPageSignals] error", e);
+    }
+}
+
+async function persistPageSignals() {
+    try {
+        await chrome.storage.session.set({
+            [SESSION_KEYS.PAGE_SIGNALS]: pageSignals,
+        });
+    } catch (e) {
+        console.error("[persistPageSignals] error", e);
+    }
+}
+
+async function loadFormDirty() {
+    try {
+        const session = await chrome.storage.session.get(
+            SESSION_KEYS.FORM_DIRTY
+        );
+        formDirtyMap = {
+            ...session?.[SESSION_KEYS.FORM_DIRTY],
+            ...formDirtyMap,
+        };
+    } catch (e) {
+        console.error("[loadFormDirty] error", e);
+    }
+}
+
+async function persistFormDirty() {
+    try {
+        await chrome.storage.session.set({
+            [SESSION_KEYS.FORM_DIRTY]: formDirtyMap,
+        });
+    } catch (e) {
+        console.error("[persistFormDirty] error", e);
+    }
+}
+
+// Loads once per worker; everything reading the clocks, page signals or
+// form state awaits this first
+function ensureActivityLoaded() {
+    if (!activityLoaded) {
+        activityLoaded = Promise.all([
+            loadActivity(),
+            loadPageSignals(),
+            loadFormDirty(),
+        ]);
+    }
+    return activityLoaded;
+}
+
+// ---------------------------- Auto Suspension (Dynamic Single Alarm) -----
+const SCAN_ALARM = "ts_scan";
+// While a scan runs the alarm is parked this far out, so a worker evicted
+// mid-scan is woken again instead of leaving auto-suspend stopped
+const SCAN_WATCHDOG_MINUTES = 1;
+// A scan stuck on a hung API call stops blocking new ones after this long
+const SCAN_STALE_MS = 2 * 60 * 1000;
+let scanStartedAt = null;
+let scanRerunRequested = false;
+
+// Time left before `tab` is due for auto-suspension, shared by the scan and
+// the countdown badge. null when no timeout applies (auto-suspend off, a
+// "never" rule, or no activity info yet).
+function suspendCountdown(tab, now = Date.now()) {
+    // Initialize activity tracking for new tabs using lastAccessed, not current time
+    if (!lastActivityMap[tab.id] && tab.lastAccessed) {
+        touchActivity(tab.id, tab.lastAccessed);
+    }
+    const last = lastActivityMap[tab.id] || tab.lastAccessed;
+    if (!last) return null;
+    // Site rules may shorten, lengthen or disable the timeout
+    const thresholdMs = suspendThresholdFor(tab.url, tab.groupId);
+    if (!thresholdMs) return null;
+    return { thresholdMs, remainingMs: thresholdMs - (now - last) };
+}
+
+// Every open tab with the time left before auto-suspension or the reason
+// it is exempt, for the options page
+async function tabDiagnostics() {
+    await ensureActivityLoaded();
+    const now = Date.now();
+    const tabs = await chrome.tabs.query({});
+    return tabs.map((tab) => {
+        let status = checkEligibility(tab, "auto");
+        if (status.eligible && activeSnooze(globalSnooze, now))
+            status = ineligible("snoozed", "all tabs");
+        const countdown =
+            status.eligible && autoSuspendEnabled()
+                ? suspendCountdown(tab, now)
+                : null;
+        if (status.eligible && !countdown) status = ineligible("noTimeout");
+        return {
+            tabId: tab.id,
+            windowId: tab.windowId,
+            title: tab.title,
+            url: originalUrlOf(tab),
+            ...status,
+            remainingMs: countdown ? Math.max(0, countdown.remainingMs) : null,
+        };
+    });
+}
+
+async function runInactivityScan() {
+    if (scanStartedAt && Date.now() - scanStartedAt < SCAN_STALE_MS) {
+        scanRerunRequested = true;
+        return;
+    }
+    const startedAt = Date.now();
+    scanStartedAt = startedAt;
+    try {
+        // Clocks are paused while away; the scan resumes when the user is back
+        if (
+            !autoSuspendEnabled() ||
+            (awaySince && currentSettings.pauseWhileAway)
+        ) {
+            chrome.alarms.clear(SCAN_ALARM).catch(() => {});
+            return;
+        }
+        chrome.alarms.create(SCAN_ALARM, {
+            delayInMinutes: SCAN_WATCHDOG_MINUTES,
+        });
+        await ensureActivityLoaded();
+        const globalThresholdMs = currentSettings.autoSuspendTime * 60 * 1000;
+        const now = Date.now();
+        let nextDelay = Infinity;
+
+        // Everything snoozed: just wake up again when the snooze ends
+        if (activeSnooze(globalSnooze, now)) {
+            if (globalSnooze.until != null)
+                chrome.alarms.create(SCAN_ALARM, {
+                    when: Math.max(globalSnooze.until, now + 5000),
+                });
+            else chrome.alarms.clear(SCAN_ALARM).catch(() => {});
+            return;
+        }
+        if (globalSnooze) {
+            globalSnooze = null;
+            persistSnoozes();
+        }
+
+        const windows = unfocusedWindowsDue(now);
+        nextDelay = Math.min(nextDelay, windows.nextDelay);
+
+        const tabs = await chrome.tabs.query({});
+        for (const tab of tabs) {
+            if (!tab.id) continue;
+            if (isTabSuspended(tab)) continue;
+
+            // Windows left in the background too long go as a whole
+            if (
+                windows.due.has(tab.windowId) &&
+                eligibleForSuspend(tab, "window")
+            ) {
+                try {
+                    await suspendTab(tab.id, "window");
+                } catch (e) {
+                    console.warn("[windowSuspend]", e);
+                }
+                continue;
+            }
+
+            const countdown = suspendCountdown(tab, now);
+            if (!countdown) continue;
+            const { thresholdMs, remainingMs } = countdown;
+
+            // Snoozed tabs are revisited when their snooze expires
+            const snooze = tabSnoozes[tab.id];
+            if (activeSnooze(snooze, now)) {
+                if (snooze.until != null)
+                    nextDelay = Math.min(nextDelay, snooze.until - now);
+                continue;
+            }
+            if (snooze) {
+                delete tabSnoozes[tab.id];
+                persistSnoozes();
+            }
+
+            if (remainingMs <= 0) {
+                if (eligibleForSuspend(tab, "auto")) {
+                    try {
+                        await suspendTab(tab.id, "auto");
+                    } catch (e) {
+                        console.warn("[autoSuspend]", e);
+                    }
                     continue; // don't compute schedule for a tab just suspended
                 }
                 // Exempt tab - give it full threshold time from now
                 nextDelay = Math.min(nextDelay, thresholdMs);
             } else {
                 // Tab not yet ready - schedule for when it will be
-                const remaining = thresholdMs - inactiveFor;
-                nextDelay = Math.min(nextDelay, remaining);
+                nextDelay = Math.min(nextDelay, remainingMs);
             }
         }
         if (nextDelay === Infinity) nextDelay = 5 * 60 * 1000;
         nextDelay = Math.max(
             5000,
-            Math.min(nextDelay, Math.max(thresholdMs, 15 * 60 * 1000))
+            Math.min(nextDelay, Math.max(globalThresholdMs, 15 * 60 * 1000))
         );
+        // The countdown badge is refreshed by this scan, not its own alarm
+        if (currentSettings.badgeMode === "countdown")
+            nextDelay = Math.min(nextDelay, BADGE_REFRESH_MS);
         chrome.alarms.create(SCAN_ALARM, { when: Date.now() + nextDelay });
     } finally {
-        scanRunning = false;
-        if (scanRerunRequested) {
-            scanRerunRequested = false;
-            runInactivityScan();
+        // A stale scan finishing late must not release a newer one's guard
+        if (scanStartedAt === startedAt) scanStartedAt = null;
+        scheduleBadgeUpdate();
+        if (scanRerunRequested) {
+            scanRerunRequested = false;
+            runInactivityScan();
+        }
+    }
+}
+
+async function configureAlarm() {
+    chrome.alarms.clear(SCAN_ALARM).catch(() => {});
+    if (!autoSuspendEnabled()) return;
+    runInactivityScan();
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    await ready;
+    if (alarm.name === SCAN_ALARM) {
+        try {
+            await runInactivityScan();
+        } catch (e) {
+            console.warn("[scan]", e);
+        }
+    }
+});
+
+// ---------------------------- Idle & Lock -----------------------------------
+// chrome.idle reports "idle" after idleMinutes without input and "locked"
+// when the screen locks. Either can suspend every eligible tab (reason
+// "idle"), and with pauseWhileAway the time away is not counted against
+// any tab: the scan holds off and the clocks move forward on return.
+function configureIdle() {
+    try {
+        chrome.idle.setDetectionInterval(
+            Math.round(currentSettings.idleMinutes * 60)
+        );
+    } catch (e) {
+        console.warn("[configureIdle] error", e);
+    }
+}
+
+async function setAwaySince(value) {
+    awaySince = value;
+    try {
+        await chrome.storage.session.set({
+            [SESSION_KEYS.AWAY_SINCE]: awaySince,
+        });
+    } catch (e) {
+        console.error("[setAwaySince] error", e);
+    }
+}
+
+async function loadAwaySince() {
+    try {
+        const session = await chrome.storage.session.get(
+            SESSION_KEYS.AWAY_SINCE
+        );
+        awaySince = session?.[SESSION_KEYS.AWAY_SINCE] ?? null;
+    } catch (e) {
+        console.error("[loadAwaySince] error", e);
+    }
+}
+
+async function suspendIdleTabs() {
+    const tabs = await chrome.tabs.query({});
+    let count = 0;
+    for (const tab of tabs) {
+        if (!eligibleForSuspend(tab, "idle")) continue;
+        try {
+            const res = await suspendTab(tab.id, "idle");
+            if (res.success) count++;
+        } catch (e) {
+            console.warn("[suspendIdleTabs] per-tab error", e);
+        }
+    }
+    return count;
+}
+
+// Moves every tab's last activity forward by the time spent away, as if
+// the clocks had stopped while the user was gone
+async function resumeActivityClocks(awayMs) {
+    await ensureActivityLoaded();
+    const now = Date.now();
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+        const last = lastActivityMap[tab.id] || tab.lastAccessed;
+        if (last) touchActivity(tab.id, Math.min(now, last + awayMs));
+    }
+}
+
+chrome.idle.onStateChanged.addListener(async (state) => {
+    await ready;
+    try {
+        // The worker may have restarted while the user was away
+        await loadAwaySince();
+        if (state === "active") {
+            if (awaySince == null) return;
+            const awayMs = Date.now() - awaySince;
+            await setAwaySince(null);
+            if (currentSettings.pauseWhileAway)
+                await resumeActivityClocks(awayMs);
+            if (autoSuspendEnabled()) runInactivityScan();
+            scheduleBadgeUpdate();
+            return;
+        }
+        // "idle" is reported idleMinutes after the last input
+        if (awaySince == null) {
+            await setAwaySince(
+                state === "idle"
+                    ? Date.now() - currentSettings.idleMinutes * 60 * 1000
+                    : Date.now()
+            );
+        }
+        if (
+            (state === "locked" && currentSettings.suspendOnLock) ||
+            (state === "idle" && currentSettings.suspendOnIdle)
+        ) {
+            await suspendIdleTabs();
+        }
+    } catch (e) {
+        console.warn("[idle] error", e);
+    }
+});
+
+// ---------------------------- Toolbar Badge --------------------------------
+// badgeMode "count" shows the number of suspended tabs, "countdown" the time
+// left before the active tab is auto-suspended. Values are set on each
+// window's active tab so every window shows its own countdown.
+const BADGE_REFRESH_MS = 60 * 1000;
+const BADGE_COLORS = {
+    normal: "#4a90e2",
+    soon: "#ef4444",
+    exempt: "#6b7280",
+    snoozed: "#d97706",
+};
+let badgeTimer = null;
+
+function countdownBadge(tab, now) {
+    if (isTabSuspended(tab)) return { text: "", title: "Tab is suspended" };
+    if (
+        activeSnooze(globalSnooze, now) ||
+        activeSnooze(tabSnoozes[tab.id], now)
+    )
+        return {
+            text: "zz",
+            color: BADGE_COLORS.snoozed,
+            title: "Auto-suspension snoozed",
+        };
+    const countdown = autoSuspendEnabled() ? suspendCountdown(tab, now) : null;
+    // Being the active tab is not an exemption: the countdown is for when
+    // the user leaves it
+    const eligibility = checkEligibility({ ...tab, active: false }, "auto");
+    if (!countdown || !eligibility.eligible)
+        return {
+            text: "–",
+            color: BADGE_COLORS.exempt,
+            title: eligibility.eligible
+                ? "This tab is never auto-suspended"
+                : `Never auto-suspended: ${eligibility.message}`,
+        };
+    const mins = Math.max(0, Math.ceil(countdown.remainingMs / 60000));
+    return {
+        text: mins >= 60 ? `${Math.floor(mins / 60)}h` : `${mins}m`,
+        color: mins <= 1 ? BADGE_COLORS.soon : BADGE_COLORS.normal,
+        title: `Suspends after ${mins} more minute(s) in the background`,
+    };
+}
+
+// Debounced: bulk suspends and restores persist the cache once per tab
+function scheduleBadgeUpdate() {
+    clearTimeout(badgeTimer);
+    badgeTimer = setTimeout(updateBadge, 250);
+}
+
+async function updateBadge() {
+    try {
+        const mode = currentSettings.badgeMode;
+        if (mode === "countdown") await ensureActivityLoaded();
+        const now = Date.now();
+        let shared = { text: "", title: "" };
+        if (mode === "count") {
+            const count = await countSuspendedTabs();
+            shared = {
+                text: count ? String(count) : "",
+                title: `${count} suspended tab(s)`,
+            };
+        }
+        await chrome.action.setBadgeText({ text: shared.text });
+        await chrome.action.setBadgeBackgroundColor({
+            color: BADGE_COLORS.normal,
+        });
+        const activeTabs = await chrome.tabs.query({ active: true });
+        for (const tab of activeTabs) {
+            const badge =
+                mode === "countdown" ? countdownBadge(tab, now) : shared;
+            await chrome.action.setBadgeText({
+                tabId: tab.id,
+                text: badge.text,
+            });
+            await chrome.action.setBadgeBackgroundColor({
+                tabId: tab.id,
+                color: badge.color || BADGE_COLORS.normal,
+            });
+            await chrome.action.setTitle({
+                tabId: tab.id,
+                title: badge.title
+                    ? `Smart Suspender - ${badge.title}`
+                    : "Smart Suspender",
+            });
+        }
+    } catch (e) {
+        console.warn("[badge] error", e);
+    }
+}
+
+// ---------------------------- Memory Pressure ------------------------------
+// Polls system memory and, while free memory is below the threshold,
+// suspends eligible tabs least-recently-used first regardless of how long
+// they have been idle. Suspensions carry reason "memory".
+const MEMORY_ALARM = "ts_memory";
+const MEMORY_SETTLE_MS = 1500; // give Chrome time to release a tab's memory
+const MEMORY_MAX_PER_CHECK = 10;
+let memoryCheckRunning = false;
+/** @type {{at:number, freePercent:number, suspended:number}|null} */
+let lastMemoryAction = null;
+
+async function getFreeMemoryPercent() {
+    const info = await chrome.system.memory.getInfo();
+    return (info.availableCapacity / info.capacity) * 100;
+}
+
+// Runs on every worker wake; recreating the alarm would restart its period,
+// so it is only touched when missing or its interval changed
+async function configureMemoryAlarm() {
+    const existing = await chrome.alarms.get(MEMORY_ALARM).catch(() => null);
+    if (!currentSettings.memoryPressure) {
+        if (existing) await chrome.alarms.clear(MEMORY_ALARM).catch(() => {});
+        return;
+    }
+    const periodInMinutes = Math.max(0.5, currentSettings.memoryCheckMinutes);
+    if (existing?.periodInMinutes === periodInMinutes) return;
+    chrome.alarms.create(MEMORY_ALARM, { periodInMinutes });
+}
+
+async function runMemoryCheck() {
+    if (memoryCheckRunning || !currentSettings.memoryPressure) return;
+    memoryCheckRunning = true;
+    try {
+        const threshold = currentSettings.memoryThresholdPercent;
+        let free = await getFreeMemoryPercent();
+        if (free >= threshold) return;
+
+        await ensureActivityLoaded();
+        const tabs = (await chrome.tabs.query({}))
+            .filter((tab) => eligibleForSuspend(tab, "memory"))
+            .sort(
+                (a, b) =>
+                    (lastActivityMap[a.id] || a.lastAccessed || 0) -
+                    (lastActivityMap[b.id] || b.lastAccessed || 0)
+            );
+        let suspended = 0;
+        for (const tab of tabs) {
+            if (free >= threshold || suspended >= MEMORY_MAX_PER_CHECK) break;
+            const res = await suspendTab(tab.id, "memory");
+            if (!res.success) continue;
+            suspended++;
+            await new Promise((r) => setTimeout(r, MEMORY_SETTLE_MS));
+            free = await getFreeMemoryPercent();
+        }
+        if (suspended) {
+            lastMemoryAction = { at: Date.now(), freePercent: free, suspended };
+        }
+    } catch (e) {
+        console.warn("[memory] check error", e);
+    } finally {
+        memoryCheckRunning = false;
+    }
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    await ready;
+    if (alarm.name === MEMORY_ALARM) runMemoryCheck();
+});
+
+// ---------------------------- Sessions (Export / Import) -------------------
+const SESSION_FORMAT = "smart-suspender-session";
+const SESSION_VERSION = 1;
+
+function isRestorableUrl(url) {
+    return /^(https?|file):/i.test(url || "");
+}
+
+// scope: "suspended" (default) or "all" open tabs
+async function exportSession(scope = "suspended") {
+    const tabs = await chrome.tabs.query({});
+    const groups = {};
+    const entries = [];
+    for (const tab of tabs) {
+        if (scope !== "all" && !isTabSuspended(tab)) continue;
+        const url = originalUrlOf(tab);
+        if (!isRestorableUrl(url)) continue;
+        const rec = suspendedTabsCache[tab.id];
+        let group = null;
+        if (tab.groupId >= 0) {
+            try {
+                groups[tab.groupId] =
+                    groups[tab.groupId] ||
+                    (await chrome.tabGroups.get(tab.groupId));
+                const { title, color } = groups[tab.groupId];
+                group = { title: title || "", color };
+            } catch {}
+        }
+        entries.push({
+            title:
+                rec?.title ||
+                (isExtensionSuspendedPage(tab.url)
+                    ? new URL(tab.url).searchParams.get("title")
+                    : tab.title) ||
+                url,
+            url,
+            window: tab.windowId,
+            index: tab.index,
+            group,
+            suspendedAt: rec?.suspendedAt ?? null,
+        });
+    }
+    return {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        exportedAt: Date.now(),
+        tabs: entries,
+    };
+}
+
+// Recreates tabs directly in the suspended state, one new window per
+// original window, restoring tab group titles and colours.
+async function importSession(entries) {
+    const valid = (Array.isArray(entries) ? entries : []).filter(
+        (e) => e && typeof e.url === "string" && isRestorableUrl(e.url)
+    );
+    const byWindow = {};
+    for (const e of valid) {
+        const key = String(e.window ?? "default");
+        (byWindow[key] = byWindow[key] || []).push(e);
+    }
+
+    let created = 0;
+    for (const windowEntries of Object.values(byWindow)) {
+        windowEntries.sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+        let windowId = null;
+        const groupTabs = {}; // "title|color" -> { group, tabIds }
+        for (const e of windowEntries) {
+            const title = typeof e.title === "string" ? e.title : e.url;
+            const suspendedUrl = getSuspendedUrl(e.url, title);
+            let tab;
+            try {
+                if (windowId == null) {
+                    const win = await chrome.windows.create({
+                        url: suspendedUrl,
+                        focused: false,
+                    });
+                    windowId = win.id;
+                    tab = win.tabs[0];
+                } else {
+                    tab = await chrome.tabs.create({
+                        windowId,
+                        url: suspendedUrl,
+                        active: false,
+                    });
+                }
+            } catch (err) {
+                console.warn("[importSession] tab create error", err);
+                continue;
+            }
+            suspendedTabsCache[tab.id] = {
+                url: e.url,
+                title,
+                suspendedAt: Number(e.suspendedAt) || Date.now(),
+                reason: "import",
+                originalTabId: tab.id,
+                windowId,
+                index: tab.index,
+                pinned: false,
+                wasActive: false,
+                strategy: "navigate",
+            };
+            created++;
+            if (e.group && typeof e.group === "object") {
+                const key = `${e.group.title}|${e.group.color}`;
+                groupTabs[key] = groupTabs[key] || {
+                    group: e.group,
+                    tabIds: [],
+                };
+                groupTabs[key].tabIds.push(tab.id);
+            }
+        }
+        for (const { group, tabIds } of Object.values(groupTabs)) {
+            try {
+                const groupId = await chrome.tabs.group({
+                    tabIds,
+                    createProperties: { windowId },
+                });
+                await chrome.tabGroups.update(groupId, {
+                    title: String(group.title || ""),
+                    ...(group.color ? { color: group.color } : {}),
+                });
+            } catch (err) {
+                console.warn("[importSession] group error", err);
+            }
+        }
+    }
+    await persistSuspendedCache();
+    return {
+        success: true,
+        count: created,
+        skipped: (Array.isArray(entries) ? entries.length : 0) - created,
+    };
+}
+
+// ---------------------------- Loaded Tab Cap -------------------------------
+// Keeps at most `tabCapMax` eligible tabs loaded per window (or across all
+// windows) by suspending the least recently active ones with reason "cap".
+let capRunning = false;
+let capRerunRequested = false;
+
+async function enforceTabCap(windowId) {
+    if (!currentSettings.tabCap) return;
+    if (capRunning) {
+        capRerunRequested = true;
+        return;
+    }
+    capRunning = true;
+    try {
+        await ensureActivityLoaded();
+        const query =
+            currentSettings.tabCapScope === "global" || windowId == null
+                ? {}
+                : { windowId };
+        const groups = {};
+        for (const tab of await chrome.tabs.query(query)) {
+            if (!eligibleForSuspend(tab, "cap")) continue;
+            const key =
+                currentSettings.tabCapScope === "global" ? "all" : tab.windowId;
+            (groups[key] = groups[key] || []).push(tab);
+        }
+        for (const live of Object.values(groups)) {
+            // Most recently active first; everything past the cap goes
+            live.sort(
+                (a, b) =>
+                    (lastActivityMap[b.id] || b.lastAccessed || 0) -
+                    (lastActivityMap[a.id] || a.lastAccessed || 0)
+            );
+            for (const tab of live.slice(currentSettings.tabCapMax)) {
+                try {
+                    await suspendTab(tab.id, "cap");
+                } catch (e) {
+                    console.warn("[tabCap] per-tab error", e);
+                }
+            }
+        }
+    } catch (e) {
+        console.warn("[tabCap] error", e);
+    } finally {
+        capRunning = false;
+        if (capRerunRequested) {
+            capRerunRequested = false;
+            enforceTabCap();
         }
     }
 }
 
-async function configureAlarm() {
-    chrome.alarms.clear(SCAN_ALARM).catch(() => {});
-    if (!currentSettings.autoSuspend) return;
-    runInactivityScan();
-}
-
-chrome.alarms.onAlarm.addListener(async (alarm) => {
-    if (alarm.name === SCAN_ALARM) {
-        try {
-            await runInactivityScan();
-        } catch (e) {
-            console.warn("[scan]", e);
-        }
-    }
+chrome.tabs.onCreated.addListener(async (tab) => {
+    await ready;
+    touchActivity(tab.id);
+    enforceTabCap(tab.windowId);
 });
 
 // ---------------------------- Tab Lifecycle Hooks -------------------------
-chrome.tabs.onRemoved.addListener((tabId) => {
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    await ready;
     try {
         if (suspendedTabsCache[tabId]) {
+            dropThumbnail(suspendedTabsCache[tabId]);
             delete suspendedTabsCache[tabId];
             persistSuspendedCache();
         }
         // Clean up activity tracking for removed tab
-        if (lastActivityMap[tabId]) {
-            delete lastActivityMap[tabId];
+        forgetActivity(tabId);
+        if (formDirtyMap[tabId]) {
+            delete formDirtyMap[tabId];
+            persistFormDirty();
+        }
+        if (pageSignals[tabId]) {
+            delete pageSignals[tabId];
+            persistPageSignals();
+        }
+        delete pendingPageState[tabId];
+        recentThumbnails.delete(tabId);
+        tabLoadWaiters.get(tabId)?.();
+        if (lazyRestoreTabs.delete(tabId)) persistLazyRestore();
+        if (restoredUrls[tabId]) {
+            delete restoredUrls[tabId];
+            persistRestoredUrls();
+        }
+        if (tabSnoozes[tabId]) {
+            delete tabSnoozes[tabId];
+            persistSnoozes();
         }
     } catch (e) {
         console.warn("[onRemoved] error", e);
     }
 });
 
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-    if (changeInfo.url && suspendedTabsCache[tabId]) {
+// Chrome may swap a discarded tab for a new one; keep its record
+chrome.tabs.onReplaced.addListener(async (addedTabId, removedTabId) => {
+    await ready;
+    const rec = suspendedTabsCache[removedTabId];
+    if (!rec) return;
+    delete suspendedTabsCache[removedTabId];
+    suspendedTabsCache[addedTabId] = rec;
+    persistSuspendedCache();
+});
+
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+    await ready;
+    // A new document starts with clean forms; its content script re-reports
+    if (changeInfo.status === "loading" && formDirtyMap[tabId]) {
+        delete formDirtyMap[tabId];
+        persistFormDirty();
+    }
+    // Discarded tab reloaded natively (focus, reload or unsuspendTab)
+    if (
+        changeInfo.discarded === false &&
+        suspendedTabsCache[tabId]?.strategy === "discard"
+    ) {
+        recordRestore(suspendedTabsCache[tabId]);
+        announceTabEvent("restored", tabId, suspendedTabsCache[tabId]);
+        delete suspendedTabsCache[tabId];
+        persistSuspendedCache();
+        if (lazyRestoreTabs.delete(tabId)) persistLazyRestore();
+    }
+    if (
+        changeInfo.url &&
+        suspendedTabsCache[tabId] &&
+        suspendedTabsCache[tabId].strategy !== "discard"
+    ) {
         try {
             if (!isExtensionSuspendedPage(changeInfo.url)) {
+                // Left the suspended page without unsuspendTab
+                recordRestore(suspendedTabsCache[tabId]);
+                announceTabEvent("restored", tabId, suspendedTabsCache[tabId]);
+                dropThumbnail(suspendedTabsCache[tabId]);
                 delete suspendedTabsCache[tabId];
                 persistSuspendedCache();
+                if (lazyRestoreTabs.delete(tabId)) persistLazyRestore();
             }
         } catch (e) {
             console.warn("[onUpdated cleanup] error", e);
         }
     }
-    // Reschedule on meaningful loads completion
-    // No custom tracking needed
+    // Suspend/restore of the visible tab changes which menu items apply
+    if (changeInfo.url && tab?.active) {
+        rebuildContextMenu();
+        scheduleBadgeUpdate();
+    }
+    // Chrome's own discards change the suspended count too
+    if (changeInfo.discarded != null) scheduleBadgeUpdate();
+    // Lets the restore queue move on to the next tab
+    if (changeInfo.status === "complete" && !isExtensionSuspendedPage(tab?.url))
+        tabLoadWaiters.get(tabId)?.();
+    // Reapply scroll/form state once the restored page has loaded
+    if (
+        changeInfo.status === "complete" &&
+        pendingPageState[tabId] &&
+        !isExtensionSuspendedPage(tab?.url)
+    ) {
+        const { url, state } = pendingPageState[tabId];
+        delete pendingPageState[tabId];
+        // Form contents must never reach another origin, e.g. after a
+        // redirect to a login page
+        if (sameOrigin(url, tab?.url)) {
+            chrome.tabs
+                .sendMessage(tabId, { action: "applyState", state })
+                .catch((e) => console.warn("[applyState] error", e));
+        }
+    }
 });
 
-// Track tab activation to (re)schedule others that become inactive
-chrome.tabs.onActivated.addListener(({ tabId }) => {
-    lastActivityMap[tabId] = Date.now();
-    if (currentSettings.autoSuspend) runInactivityScan();
+// Track tab activation to (re)schedule others that become inactive.
+// Mirrored in storage.session: when an activation wakes the worker, only
+// the stored copy still knows which tab was left.
+const activeTabByWindow = {}; // windowId -> tabId
+
+// Windows never seen by this session fall back to their current active tab
+async function loadActiveTabs() {
+    try {
+        const session = await chrome.storage.session.get(
+            SESSION_KEYS.ACTIVE_TABS
+        );
+        const active = await chrome.tabs.query({ active: true });
+        active.forEach((tab) => (activeTabByWindow[tab.windowId] = tab.id));
+        Object.assign(activeTabByWindow, session?.[SESSION_KEYS.ACTIVE_TABS]);
+    } catch (e) {
+        console.error("[loadActiveTabs] error", e);
+    }
+}
+
+function persistActiveTabs() {
+    chrome.storage.session
+        .set({ [SESSION_KEYS.ACTIVE_TABS]: activeTabByWindow })
+        .catch((e) => console.error("[persistActiveTabs] error", e));
+}
+
+chrome.tabs.onActivated.addListener(async ({ tabId, windowId }) => {
+    // lazyRestoreTabs is empty until init() has loaded it on a fresh worker
+    await ready;
+    touchActivity(tabId);
+    // Left suspended by a lazy bulk restore
+    if (lazyRestoreTabs.has(tabId)) unsuspendTab(tabId);
+    // "Suspend on tab switch" rules act on the tab being left
+    const previousTabId = activeTabByWindow[windowId];
+    activeTabByWindow[windowId] = tabId;
+    persistActiveTabs();
+    if (previousTabId != null && previousTabId !== tabId) {
+        chrome.tabs
+            .get(previousTabId)
+            .then((prev) => {
+                if (findRule(prev.url, prev.groupId)?.action === "onSwitch")
+                    return suspendTab(prev.id, "auto");
+            })
+            .catch(() => {});
+    }
+    if (autoSuspendEnabled()) runInactivityScan();
+    // The scan refreshes it too, but countdown mode shows exemptions with
+    // auto-suspend off
+    scheduleBadgeUpdate();
+    enforceTabCap(windowId);
+    rebuildContextMenu();
+    // Give the page a moment to paint, then keep a preview for later
+    // suspends. Tabs never suspended automatically need none.
+    if (currentSettings.thumbnails) {
+        setTimeout(async () => {
+            try {
+                const tab = await chrome.tabs.get(tabId);
+                if (
+                    tab.active &&
+                    checkEligibility({ ...tab, active: false }, "auto").eligible
+                )
+                    await captureThumbnail(tab);
+            } catch {}
+        }, 1000);
+    }
 });
 
 // ---------------------------- Commands (Shortcuts) -------------------------
+// Shortcuts have no popup to confirm in, so ask the page itself before
+// discarding unsaved form input.
+async function suspendTabWithConfirm(tabId) {
+    const res = await suspendTab(tabId, "manual");
+    if (!res.unsavedForm) return res;
+    try {
+        const answer = await chrome.tabs.sendMessage(tabId, {
+            action: "confirmSuspend",
+        });
+        if (!answer?.confirmed) return res;
+    } catch (e) {
+        console.warn("[suspendTabWithConfirm] could not ask page", e);
+        return res;
+    }
+    return suspendTab(tabId, "manual", { force: true });
+}
+
 chrome.commands.onCommand.addListener(async (command) => {
+    await ready;
     try {
         const [active] = await chrome.tabs.query({
             active: true,
@@ -431,7 +2687,7 @@ chrome.commands.onCommand.addListener(async (command) => {
         });
         switch (command) {
             case "suspend-tab":
-                if (active?.id) await suspendTab(active.id, "manual");
+                if (active?.id) await suspendTabWithConfirm(active.id);
                 break;
             case "unsuspend-tab":
                 if (active?.id) await unsuspendTab(active.id);
@@ -445,25 +2701,273 @@ chrome.commands.onCommand.addListener(async (command) => {
             case "unsuspend-all-tabs":
                 await unsuspendAllTabs();
                 break;
+            case "snooze-tab":
+                if (active?.id) await toggleSnooze(active.id);
+                break;
+            case "snooze-all":
+                await toggleSnooze(null);
+                break;
+            case "suspend-group":
+                await suspendGroup(active?.groupId);
+                break;
+            case "unsuspend-group":
+                await unsuspendGroup(active?.groupId);
+                break;
+            case "suspend-window":
+                await suspendWindow(active?.windowId);
+                break;
+            case "unsuspend-window":
+                await unsuspendWindow(active?.windowId);
+                break;
         }
     } catch (e) {
         console.error("[commands] root error", e);
     }
 });
 
+// ---------------------------- Context Menus -------------------------------
+const MENU_CONTEXTS = ["page", "action"];
+const MENU_IDS = {
+    TOGGLE_SUSPEND: "ss-toggle-suspend",
+    SUSPEND_OTHERS: "ss-suspend-others",
+    NEVER_URL: "ss-never-url",
+    NEVER_DOMAIN: "ss-never-domain",
+    TOGGLE_PAUSE: "ss-toggle-pause",
+};
+let menuRebuild = Promise.resolve();
+
+// The original URL of a tab, looking through our suspended page
+function originalUrlOf(tab) {
+    if (suspendedTabsCache[tab.id]) return suspendedTabsCache[tab.id].url;
+    if (isExtensionSuspendedPage(tab.url)) {
+        try {
+            return new URL(tab.url).searchParams.get("url") || "";
+        } catch {
+            return "";
+        }
+    }
+    return tab.url || "";
+}
+
+// Items are recreated (not updated) so titles always match the active tab.
+// Rebuilds are chained to avoid duplicate-id errors from overlapping calls.
+function rebuildContextMenu() {
+    menuRebuild = menuRebuild
+        .then(async () => {
+            const [tab] = await chrome.tabs.query({
+                active: true,
+                lastFocusedWindow: true,
+            });
+            const suspended = !!tab && isTabSuspended(tab);
+            const paused = !!tab && !!activeSnooze(tabSnoozes[tab.id]);
+            await chrome.contextMenus.removeAll();
+            const items = [
+                [
+                    MENU_IDS.TOGGLE_SUSPEND,
+                    suspended ? "Unsuspend this tab" : "Suspend this tab",
+                ],
+                [MENU_IDS.SUSPEND_OTHERS, "Suspend other tabs in this window"],
+                [MENU_IDS.NEVER_URL, "Never suspend this URL"],
+                [MENU_IDS.NEVER_DOMAIN, "Never suspend this domain"],
+                [
+                    MENU_IDS.TOGGLE_PAUSE,
+                    paused
+                        ? "Resume suspension for this tab"
+                        : "Pause suspension for this tab",
+                ],
+            ];
+            for (const [id, title] of items) {
+                chrome.contextMenus.create({
+                    id,
+                    title,
+                    contexts: MENU_CONTEXTS,
+                });
+            }
+        })
+        .catch((e) => console.warn("[contextMenu] rebuild error", e));
+    return menuRebuild;
+}
+
+// Whitelist additions go through saveSettings like the options page
+async function addWhitelistEntry(entry) {
+    if (!entry) return false;
+    const lines = (currentSettings.urlWhitelist || "")
+        .split(/\r?\n/)
+        .filter((l) => l.trim());
+    if (lines.some((l) => l.trim() === entry)) return true;
+    return saveSettings({ urlWhitelist: [...lines, entry].join("\n") });
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    await ready;
+    try {
+        if (!tab?.id) return;
+        const url = originalUrlOf(tab);
+        let parsed = null;
+        try {
+            parsed = new URL(url);
+        } catch {}
+        switch (info.menuItemId) {
+            case MENU_IDS.TOGGLE_SUSPEND:
+                if (isTabSuspended(tab)) await unsuspendTab(tab.id);
+                else await suspendTabWithConfirm(tab.id);
+                break;
+            case MENU_IDS.SUSPEND_OTHERS:
+                await suspendOtherTabs(tab);
+                break;
+            case MENU_IDS.NEVER_URL:
+                if (parsed) await addWhitelistEntry(exactUrlPattern(parsed));
+                break;
+            case MENU_IDS.NEVER_DOMAIN:
+                if (parsed?.hostname) await addWhitelistEntry(parsed.hostname);
+                break;
+            case MENU_IDS.TOGGLE_PAUSE:
+                if (activeSnooze(tabSnoozes[tab.id]))
+                    await cancelSnooze(tab.id);
+                else await snoozeTab(tab.id, "forever");
+                break;
+        }
+        await rebuildContextMenu();
+    } catch (e) {
+        console.error("[contextMenu] click error", e);
+    }
+});
+
+chrome.windows.onFocusChanged.addListener(async () => {
+    await ready;
+    rebuildContextMenu();
+});
+
+// ---------------------------- Message Permissions -------------------------
+// Messages arrive from the extension's own pages (popup, options), from
+// suspended pages, and from content scripts running inside any web page.
+// Each action names the one kind of sender allowed to use it and the
+// payload fields it reads; anything else is refused before it is handled.
+// The import actions check their own input, so their payloads are not
+// listed here.
+const PAYLOAD_TYPES = {
+    tabId: (v) => Number.isInteger(v) && v >= 0,
+    integer: Number.isInteger,
+    boolean: (v) => typeof v === "boolean",
+    string: (v) => typeof v === "string",
+    object: (v) => !!v && typeof v === "object" && !Array.isArray(v),
+    snoozeDuration: (v) =>
+        typeof v === "string" && Object.hasOwn(SNOOZE_DURATIONS, v),
+    sessionScope: (v) => v === "suspended" || v === "all",
+};
+
+// A trailing "?" marks a field that may be left out
+const MESSAGE_ACTIONS = {
+    getSettings: { from: "page" },
+    updateSettings: { from: "page", payload: { settings: "object" } },
+    saveSettings: { from: "page", payload: { settings: "object" } },
+    getChromeShortcuts: { from: "page" },
+    suspendTab: {
+        from: "page",
+        payload: { tabId: "tabId?", force: "boolean?" },
+    },
+    suspendCurrentTab: {
+        from: "page",
+        payload: { tabId: "tabId?", force: "boolean?" },
+    },
+    unsuspendTab: { from: "page", payload: { tabId: "tabId?" } },
+    suspendAll: { from: "page" },
+    suspendAllTabs: { from: "page" },
+    unsuspendAll: { from: "page" },
+    unsuspendAllTabs: { from: "page" },
+    suspendOtherTabs: { from: "page" },
+    testWhitelist: { from: "page", payload: { text: "string" } },
+    getSnoozeState: { from: "page", payload: { tabId: "tabId?" } },
+    snooze: {
+        from: "page",
+        payload: { tabId: "tabId?", duration: "snoozeDuration" },
+    },
+    cancelSnooze: { from: "page", payload: { tabId: "tabId?" } },
+    getMemoryStatus: { from: "page" },
+    exportSession: { from: "page", payload: { scope: "sessionScope?" } },
+    importSession: { from: "page" },
+    exportSettings: { from: "page" },
+    importSettings: { from: "page" },
+    getSyncStatus: { from: "page" },
+    getStats: { from: "page" },
+    resetStats: { from: "page" },
+    listSuspendedTabs: { from: "page" },
+    openSuspendedTab: { from: "page", payload: { tabId: "tabId" } },
+    closeSuspendedTab: { from: "page", payload: { tabId: "tabId" } },
+    getTabDiagnostics: { from: "page" },
+    getRestoreProgress: { from: "page" },
+    cancelRestore: { from: "page" },
+    suspendWindow: { from: "page", payload: { windowId: "integer?" } },
+    unsuspendWindow: { from: "page", payload: { windowId: "integer?" } },
+    suspendGroup: { from: "page", payload: { groupId: "integer?" } },
+    unsuspendGroup: { from: "page", payload: { groupId: "integer?" } },
+    testRulePattern: { from: "page", payload: { pattern: "string" } },
+    getSuspendedCount: { from: "page" },
+    // A suspended page only ever asks about its own tab
+    getSuspendedTabData: { from: "suspended" },
+    restoreTab: { from: "suspended" },
+    // Content scripts only report on the tab they run in
+    formState: { from: "content", payload: { dirty: "boolean" } },
+    pageSignals: { from: "content", payload: { signals: "object" } },
+    activityPing: { from: "content" },
+};
+
+// "page", "suspended" or "content"; null for anything else
+function senderKind(sender) {
+    if (sender?.id !== chrome.runtime.id) return null;
+    if (isExtensionSuspendedPage(sender.url)) return "suspended";
+    if (sender.url?.startsWith(chrome.runtime.getURL(""))) return "page";
+    return sender.tab?.id != null ? "content" : null;
+}
+
+// Why a message is refused, or null when it may be handled
+function messageRejection(req, sender) {
+    const action = req?.action;
+    if (typeof action !== "string" || !Object.hasOwn(MESSAGE_ACTIONS, action))
+        return "Unknown action";
+    const { from, payload = {} } = MESSAGE_ACTIONS[action];
+    if (senderKind(sender) !== from) return "Not allowed";
+    return payloadRejection(req, payload);
+}
+
+function payloadRejection(req, payload) {
+    for (const [field, spec] of Object.entries(payload)) {
+        const optional = spec.endsWith("?");
+        if (optional && req[field] == null) continue;
+        if (!PAYLOAD_TYPES[spec.replace("?", "")](req[field]))
+            return `Invalid "${field}"`;
+    }
+    return null;
+}
+
 // ---------------------------- Messaging API -------------------------------
 chrome.runtime.onMessage.addListener((req, sender, sendResponse) => {
     (async () => {
+        await ready;
+        const rejection = messageRejection(req, sender);
+        if (rejection) {
+            console.warn("[message] refused", req?.action, rejection);
+            sendResponse({ success: false, error: rejection });
+            return;
+        }
         switch (req.action) {
             // Settings
             case "getSettings":
                 sendResponse(currentSettings);
                 return;
             case "updateSettings": // legacy name
-            case "saveSettings":
-                await saveSettings(req.settings || {});
-                sendResponse({ success: true, settings: currentSettings });
+            case "saveSettings": {
+                // Invalid entries are skipped and reported, the rest is
+                // saved: a stored value missing from an options <select>
+                // arrives as NaN and must not block every later save
+                const { settings, errors } = validateSettings(req.settings);
+                sendResponse({
+                    success: await saveSettings(settings),
+                    settings: currentSettings,
+                    errors,
+                });
                 return;
+            }
 
             // Shortcuts listing
             case "getChromeShortcuts":
@@ -489,7 +2993,9 @@ chrome.runtime.onMessage.addListener((req, sender, sendResponse) => {
                     sendResponse({ success: false });
                     return;
                 }
-                sendResponse(await suspendTab(tabId, "manual"));
+                sendResponse(
+                    await suspendTab(tabId, "manual", { force: !!req.force })
+                );
                 return;
             }
             case "unsuspendTab": {
@@ -520,26 +3026,166 @@ chrome.runtime.onMessage.addListener((req, sender, sendResponse) => {
             case "suspendOtherTabs":
                 sendResponse(await suspendOtherTabs());
                 return;
+            case "testWhitelist":
+                sendResponse(await testWhitelist(req.text));
+                return;
+            // Snooze (omit tabId for all auto-suspension)
+            case "getSnoozeState":
+                sendResponse(getSnoozeState(req.tabId));
+                return;
+            case "snooze":
+                try {
+                    sendResponse(await snoozeTab(req.tabId, req.duration));
+                } catch (e) {
+                    sendResponse({ success: false, error: e.message });
+                }
+                return;
+            case "cancelSnooze":
+                sendResponse(await cancelSnooze(req.tabId));
+                return;
+            case "getMemoryStatus": {
+                let freePercent = null;
+                try {
+                    freePercent = await getFreeMemoryPercent();
+                } catch {}
+                sendResponse({ freePercent, lastAction: lastMemoryAction });
+                return;
+            }
+            case "exportSession":
+                sendResponse(await exportSession(req.scope));
+                return;
+            case "importSession":
+                sendResponse(await importSession(req.tabs));
+                return;
+            case "exportSettings":
+                sendResponse(exportSettings());
+                return;
+            case "importSettings":
+                sendResponse(await importSettings(req.data));
+                return;
+            case "getSyncStatus":
+                sendResponse({
+                    enabled: !!currentSettings.syncSettings,
+                    ...syncStatus,
+                });
+                return;
+            case "getStats":
+                sendResponse(await getStats());
+                return;
+            case "resetStats":
+                sendResponse(await resetStats());
+                return;
+            case "listSuspendedTabs":
+                sendResponse(await listSuspendedTabs());
+                return;
+            case "openSuspendedTab":
+                sendResponse(await openSuspendedTab(req.tabId));
+                return;
+            case "closeSuspendedTab":
+                // Only tabs from the list; onRemoved drops the record
+                if (!suspendedTabsCache[req.tabId]) {
+                    sendResponse({ success: false });
+                    return;
+                }
+                await chrome.tabs.remove(req.tabId);
+                sendResponse({ success: true });
+                return;
+            case "getTabDiagnostics":
+                sendResponse(await tabDiagnostics());
+                return;
+            case "getRestoreProgress":
+                sendResponse(restoreProgress());
+                return;
+            case "cancelRestore":
+                sendResponse(await cancelRestore());
+                return;
+            case "suspendWindow":
+                sendResponse(await suspendWindow(req.windowId));
+                return;
+            case "unsuspendWindow":
+                sendResponse(await unsuspendWindow(req.windowId));
+                return;
+            case "suspendGroup":
+                sendResponse(await suspendGroup(req.groupId));
+                return;
+            case "unsuspendGroup":
+                sendResponse(await unsuspendGroup(req.groupId));
+                return;
+            case "testRulePattern":
+                sendResponse({ errors: rulePatternErrors(req.pattern || "") });
+                return;
+            case "getSuspendedCount":
+                sendResponse({ count: await countSuspendedTabs() });
+                return;
             case "getSuspendedTabData": {
+                await reconcileChain;
                 const tabId = sender.tab?.id;
-                sendResponse(tabId != null ? suspendedTabsCache[tabId] : null);
+                const rec = tabId != null ? suspendedTabsCache[tabId] : null;
+                if (!rec) {
+                    sendResponse(null);
+                    return;
+                }
+                let thumbnailData = null;
+                if (rec.thumbnail && currentSettings.thumbnails) {
+                    const stored = await chrome.storage.local.get(
+                        rec.thumbnail
+                    );
+                    thumbnailData = stored?.[rec.thumbnail] || null;
+                }
+                sendResponse({ ...rec, thumbnailData });
                 return;
             }
             case "restoreTab": {
-                if (sender.tab?.id && suspendedTabsCache[sender.tab.id]) {
+                await reconcileChain;
+                const tab = { ...sender.tab, url: sender.url };
+                // No record: the page was reached again with Back. Adopt it
+                // only if this tab was restored to that very URL before.
+                if (!suspendedTabsCache[tab.id]) {
+                    const adopted = adoptedRecord(tab);
+                    if (
+                        adopted &&
+                        restoredUrls[tab.id]?.includes(adopted.url)
+                    ) {
+                        suspendedTabsCache[tab.id] = adopted;
+                        await persistSuspendedCache();
+                    }
+                }
+                // Restore only to the URL recorded for the page that asks
+                const rec = suspendedTabsCache[tab.id];
+                if (rec && recordFitsTab(rec, tab)) {
                     await unsuspendTab(sender.tab.id);
                     sendResponse({ success: true });
-                } else if (sender.tab?.id && req.url) {
-                    await chrome.tabs.update(sender.tab.id, { url: req.url });
-                    sendResponse({ success: true, fallback: true });
                 } else {
                     sendResponse({ success: false });
                 }
                 return;
             }
+            case "formState": {
+                if (sender.tab?.id) {
+                    if (req.dirty) formDirtyMap[sender.tab.id] = true;
+                    else delete formDirtyMap[sender.tab.id];
+                    persistFormDirty();
+                }
+                sendResponse({ ok: true });
+                return;
+            }
+            case "pageSignals": {
+                if (sender.tab?.id) {
+                    pageSignals[sender.tab.id] = Object.fromEntries(
+                        Object.keys(PAGE_SIGNAL_SETTINGS).map((key) => [
+                            key,
+                            !!req.signals?.[key],
+                        ])
+                    );
+                    persistPageSignals();
+                    scheduleBadgeUpdate();
+                }
+                sendResponse({ ok: true });
+                return;
+            }
             case "activityPing": {
                 if (sender.tab?.id) {
-                    lastActivityMap[sender.tab.id] = Date.now();
+                    touchActivity(sender.tab.id);
                 }
                 sendResponse({ ok: true });
                 return;
@@ -552,23 +3198,426 @@ chrome.runtime.onMessage.addListener((req, sender, sendResponse) => {
     return true; // keep channel open for async
 });
 
+// ---------------------------- External API ---------------------------------
+// Extensions listed in the externalApiAllowlist setting can drive suspension
+// with chrome.runtime.sendMessage(<our ID>, request) and follow suspends and
+// restores over a port named EXTERNAL_EVENTS_PORT. Requests name the
+// protocol version they were written for; responses and events carry
+// EXTERNAL_API_VERSION. The protocol is documented in README.md.
+const EXTERNAL_API_VERSION = 1;
+const EXTERNAL_EVENTS_PORT = "smart-suspender-events";
+const EXTENSION_ID_PATTERN = /^[a-p]{32}$/;
+
+// Request fields, checked like MESSAGE_ACTIONS payloads
+const EXTERNAL_ACTIONS = {
+    getInfo: {},
+    listSuspended: {},
+    suspend: { tabId: "tabId" },
+    unsuspend: { tabId: "tabId" },
+    snooze: { tabId: "tabId?", duration: "snoozeDuration" },
+    cancelSnooze: { tabId: "tabId?" },
+};
+
+// Event ports of allowed extensions
+const externalPorts = new Set();
+
+function allowedExtensionIds(settings) {
+    return new Set(
+        (settings?.externalApiAllowlist || "")
+            .split(/\r?\n/)
+            .map((l) => l.trim())
+            .filter((l) => EXTENSION_ID_PATTERN.test(l))
+    );
+}
+
+function isAllowedExtension(extensionId) {
+    return allowedExtensionIds(currentSettings).has(extensionId);
+}
+
+function externalOk(result) {
+    return { version: EXTERNAL_API_VERSION, ok: true, result };
+}
+
+function externalError(code, message, extra = {}) {
+    return {
+        version: EXTERNAL_API_VERSION,
+        ok: false,
+        error: { code, message, ...extra },
+    };
+}
+
+async function handleExternalRequest(req) {
+    if (
+        !Number.isInteger(req?.version) ||
+        req.version < 1 ||
+        req.version > EXTERNAL_API_VERSION
+    ) {
+        return externalError(
+            "unsupportedVersion",
+            `Supported protocol versions: 1 to ${EXTERNAL_API_VERSION}`
+        );
+    }
+    const action = req.action;
+    if (typeof action !== "string" || !Object.hasOwn(EXTERNAL_ACTIONS, action))
+        return externalError("unknownAction", `Unknown action "${action}"`);
+    const invalid = payloadRejection(req, EXTERNAL_ACTIONS[action]);
+    if (invalid) return externalError("invalidRequest", invalid);
+    await reconcileChain;
+
+    switch (action) {
+        case "getInfo":
+            return externalOk({
+                extensionVersion: chrome.runtime.getManifest().version,
+                apiVersion: EXTERNAL_API_VERSION,
+                actions: Object.keys(EXTERNAL_ACTIONS),
+                eventsPort: EXTERNAL_EVENTS_PORT,
+            });
+        case "listSuspended":
+            return externalOk({
+                tabs: Object.entries(suspendedTabsCache).map(([id, rec]) => ({
+                    tabId: Number(id),
+                    windowId: rec.windowId,
+                    url: rec.url,
+                    title: rec.title,
+                    reason: rec.reason,
+                    suspendedAt: rec.suspendedAt,
+                })),
+            });
+        case "suspend": {
+            const res = await suspendTab(req.tabId, "manual");
+            if (res.success)
+                return externalOk({ tabId: res.tabId, suspended: true });
+            if (res.already) {
+                return externalOk({
+                    tabId: req.tabId,
+                    suspended: true,
+                    already: true,
+                });
+            }
+            if (res.ignored) {
+                return externalError("ineligible", res.eligibility.message, {
+                    reason: res.eligibility.code,
+                });
+            }
+            if (res.unsavedForm) {
+                return externalError(
+                    "unsavedForm",
+                    "The tab has unsaved form input"
+                );
+            }
+            return externalError("failed", res.error || "Could not suspend");
+        }
+        case "unsuspend": {
+            const res = await unsuspendTab(req.tabId);
+            if (res.success)
+                return externalOk({ tabId: req.tabId, restored: true });
+            if (res.notSuspended)
+                return externalError("notSuspended", "Tab is not suspended");
+            return externalError("failed", res.error || "Could not restore");
+        }
+        case "snooze":
+        case "cancelSnooze": {
+            if (req.tabId != null) {
+                try {
+                    await chrome.tabs.get(req.tabId);
+                } catch {
+                    return externalError("noTab", "No tab with this ID");
+                }
+            }
+            if (action === "snooze") await snoozeTab(req.tabId, req.duration);
+            else await cancelSnooze(req.tabId);
+            return externalOk({ snooze: getSnoozeState(req.tabId) });
+        }
+    }
+}
+
+// event: "suspended" | "restored"; rec is the suspended record, or the tab
+// itself for tabs Chrome discarded on its own
+function announceTabEvent(event, tabId, rec, reason = "manual") {
+    if (!externalPorts.size) return;
+    const message = {
+        version: EXTERNAL_API_VERSION,
+        event,
+        tabId,
+        url: rec?.url ?? null,
+        title: rec?.title ?? null,
+        reason,
+    };
+    for (const port of externalPorts) {
+        try {
+            port.postMessage(message);
+        } catch {
+            externalPorts.delete(port);
+        }
+    }
+}
+
+// Extensions removed from the allowlist stop receiving events right away
+function pruneExternalPorts() {
+    const allowed = allowedExtensionIds(currentSettings);
+    for (const port of externalPorts) {
+        if (allowed.has(port.sender?.id)) continue;
+        externalPorts.delete(port);
+        port.disconnect();
+    }
+}
+
+chrome.runtime.onMessageExternal.addListener((req, sender, sendResponse) => {
+    (async () => {
+        await ready;
+        if (!isAllowedExtension(sender.id)) {
+            sendResponse(
+                externalError("notAllowed", "Extension is not on the allowlist")
+            );
+            return;
+        }
+        sendResponse(await handleExternalRequest(req));
+    })().catch((e) => sendResponse(externalError("failed", e?.message)));
+    return true; // keep channel open for async
+});
+
+chrome.runtime.onConnectExternal.addListener(async (port) => {
+    await ready;
+    if (
+        port.name !== EXTERNAL_EVENTS_PORT ||
+        !isAllowedExtension(port.sender?.id)
+    ) {
+        port.disconnect();
+        return;
+    }
+    externalPorts.add(port);
+    port.onDisconnect.addListener(() => externalPorts.delete(port));
+});
+
+// ---------------------------- Startup Reconciliation -----------------------
+// Records are keyed by tab ID, but Chrome assigns new IDs after a browser
+// restart, and an extension update may close or reload every suspended page.
+// Surviving suspended pages are matched to records by their `url` parameter,
+// pages without a record are adopted, and records left without a page are
+// dropped - or reopened as suspended tabs right after an update.
+// Starts out pending: the first reconcile only runs once init() has loaded
+// the cache, and anything awaiting the chain before then waits for it too.
+let startFirstReconcile;
+let reconcileChain = new Promise((resolve) => (startFirstReconcile = resolve))
+    .then(runReconcile)
+    .catch((e) => console.error("[reconcile] error", e));
+
+function reconcileSuspendedTabs() {
+    if (startFirstReconcile) {
+        startFirstReconcile();
+        startFirstReconcile = null;
+        return reconcileChain;
+    }
+    reconcileChain = reconcileChain
+        .then(runReconcile)
+        .catch((e) => console.error("[reconcile] error", e));
+    return reconcileChain;
+}
+
+function suspendedPageParams(tab) {
+    try {
+        return new URL(tab.url).searchParams;
+    } catch {
+        return new URLSearchParams();
+    }
+}
+
+// A record can only describe a tab that is still in its suspended form
+function recordFitsTab(rec, tab) {
+    return rec.strategy === "discard"
+        ? !!tab.discarded && tab.url === rec.url
+        : isExtensionSuspendedPage(tab.url) &&
+              suspendedPageParams(tab).get("url") === rec.url;
+}
+
+// Record for a suspended page nobody knows about, e.g. reopened with the
+// browser session; null unless its url parameter is a restorable URL
+function adoptedRecord(tab) {
+    const params = suspendedPageParams(tab);
+    const url = params.get("url");
+    if (tab.discarded || !isRestorableUrl(url)) return null;
+    return {
+        url,
+        title: params.get("title") || url,
+        suspendedAt: Date.now(),
+        reason: "adopted",
+        originalTabId: tab.id,
+        windowId: tab.windowId,
+        index: tab.index,
+        pinned: !!tab.pinned,
+        wasActive: false,
+        strategy: "navigate",
+    };
+}
+
+const RESTORED_URLS_PER_TAB = 20;
+
+function rememberRestoredUrl(tabId, url) {
+    const urls = (restoredUrls[tabId] || []).filter((u) => u !== url);
+    urls.push(url);
+    restoredUrls[tabId] = urls.slice(-RESTORED_URLS_PER_TAB);
+    persistRestoredUrls();
+}
+
+async function loadRestoredUrls() {
+    try {
+        const session = await chrome.storage.session.get(
+            SESSION_KEYS.RESTORED_URLS
+        );
+        restoredUrls = session?.[SESSION_KEYS.RESTORED_URLS] || {};
+    } catch (e) {
+        console.error("[loadRestoredUrls] error", e);
+    }
+}
+
+async function persistRestoredUrls() {
+    try {
+        await chrome.storage.session.set({
+            [SESSION_KEYS.RESTORED_URLS]: restoredUrls,
+        });
+    } catch (e) {
+        console.error("[persistRestoredUrls] error", e);
+    }
+}
+
+async function runReconcile() {
+    const version = chrome.runtime.getManifest().version;
+    const stored = await chrome.storage.local.get(STORAGE_KEYS.LAST_VERSION);
+    const lastVersion = stored?.[STORAGE_KEYS.LAST_VERSION];
+    const updated = lastVersion != null && lastVersion !== version;
+    const tabs = await chrome.tabs.query({});
+
+    // Built without awaiting so no suspend/restore can interleave
+    const next = {};
+    const unmatched = new Map(Object.entries(suspendedTabsCache));
+    const unclaimed = [];
+    for (const tab of tabs) {
+        const rec = unmatched.get(String(tab.id));
+        if (rec && recordFitsTab(rec, tab)) {
+            next[tab.id] = rec;
+            unmatched.delete(String(tab.id));
+        } else if (tab.discarded || isExtensionSuspendedPage(tab.url)) {
+            unclaimed.push(tab);
+        }
+    }
+
+    for (const tab of unclaimed) {
+        // Re-key a record whose page survived under a new tab ID
+        const match = [...unmatched].find(([, rec]) => recordFitsTab(rec, tab));
+        if (match) {
+            unmatched.delete(match[0]);
+            next[tab.id] = {
+                ...match[1],
+                windowId: tab.windowId,
+                index: tab.index,
+            };
+            continue;
+        }
+        const adopted = adoptedRecord(tab);
+        if (adopted) next[tab.id] = adopted;
+    }
+    suspendedTabsCache = next;
+
+    for (const rec of unmatched.values()) {
+        // Discarded tabs are ordinary pages and are not closed by updates
+        if (updated && rec.strategy !== "discard") {
+            await reopenSuspendedRecord(rec);
+        } else {
+            dropThumbnail(rec);
+        }
+    }
+
+    await persistSuspendedCache();
+    if (lastVersion !== version) {
+        await chrome.storage.local.set({
+            [STORAGE_KEYS.LAST_VERSION]: version,
+        });
+    }
+}
+
+// Windows opened for records whose original window is gone, by old window ID
+const reopenedWindows = {};
+
+async function reopenSuspendedRecord(rec) {
+    const url = getSuspendedUrl(rec.url, rec.title);
+    try {
+        let tab;
+        let windowId = reopenedWindows[rec.windowId];
+        if (windowId == null) {
+            try {
+                windowId = (await chrome.windows.get(rec.windowId)).id;
+            } catch {}
+        }
+        if (windowId != null) {
+            tab = await chrome.tabs.create({
+                windowId,
+                index: rec.index,
+                url,
+                active: false,
+                pinned: !!rec.pinned,
+            });
+        } else {
+            const win = await chrome.windows.create({ url, focused: false });
+            reopenedWindows[rec.windowId] = win.id;
+            tab = win.tabs[0];
+            if (rec.pinned) await chrome.tabs.update(tab.id, { pinned: true });
+        }
+        suspendedTabsCache[tab.id] = {
+            ...rec,
+            windowId: tab.windowId,
+            index: tab.index,
+            wasActive: false,
+        };
+    } catch (e) {
+        console.warn("[reconcile] reopen error", e);
+        dropThumbnail(rec);
+    }
+}
+
 // ---------------------------- Initialization -------------------------------
 async function init() {
     try {
         await loadSettings();
+        await refreshTabGroups();
         await loadSuspendedCache();
+        await reconcileSuspendedTabs();
+        await loadSnoozes();
+        await loadUnfocusedWindows();
+        await loadLazyRestore();
+        await loadRestoredUrls();
+        await loadAwaySince();
+        await ensureActivityLoaded();
+        await loadActiveTabs();
+        await trackWindowFocus();
+        await pruneThumbnails();
         await configureAlarm();
+        await rebuildContextMenu();
+        scheduleBadgeUpdate();
     } catch (e) {
         console.error("[init] error", e);
     }
 }
 
+// Every listener awaits this before acting: the event that woke the worker
+// is delivered while init() is still loading state. Later runs are chained
+// on so two inits never interleave.
+let ready = init();
+
 chrome.runtime.onInstalled.addListener(() => {
-    init();
+    ready = ready.then(init);
 });
 chrome.runtime.onStartup.addListener(() => {
-    init();
+    ready = ready.then(async () => {
+        // "Until browser restart" snoozes end here
+        const stored = await chrome.storage.local.get(
+            STORAGE_KEYS.GLOBAL_SNOOZE
+        );
+        if (stored?.[STORAGE_KEYS.GLOBAL_SNOOZE]?.untilRestart) {
+            await chrome.storage.local.remove(STORAGE_KEYS.GLOBAL_SNOOZE);
+            globalSnooze = null;
+        }
+        await init();
+    });
 });
-init(); // also run when worker wakes for first event
 
 // End of file
@@ -35,4 +35,269 @@
     activityEvents.forEach((event) => {
         document.addEventListener(event, updateActivity, { passive: true });
     });
+
+    // ------------------------------------------------------------------------
+    // Unsaved form detection
+    // ------------------------------------------------------------------------
+    // A field is dirty when its value differs from the value the page loaded
+    // with. Contenteditable regions have no default value, so any edit marks
+    // them dirty until the surrounding form is submitted.
+    let formDirty = false;
+    let editableDirty = false;
+
+    function isFieldDirty(el) {
+        const tag = el.tagName;
+        if (tag === "TEXTAREA") return el.value !== el.defaultValue;
+        if (tag === "SELECT") {
+            return Array.from(el.options).some(
+                (o) => o.selected !== o.defaultSelected
+            );
+        }
+        switch (el.type) {
+            case "hidden":
+            case "submit":
+            case "button":
+            case "reset":
+            case "image":
+                return false;
+            case "checkbox":
+            case "radio":
+                return el.checked !== el.defaultChecked;
+            case "file":
+                return el.files?.length > 0;
+            default:
+                return el.value !== el.defaultValue;
+        }
+    }
+
+    function hasDirtyFields() {
+        if (editableDirty) return true;
+        return Array.from(
+            document.querySelectorAll("input, textarea, select")
+        ).some(isFieldDirty);
+    }
+
+    function reportFormState() {
+        const dirty = hasDirtyFields();
+        if (dirty === formDirty) return;
+        formDirty = dirty;
+        try {
+            chrome.runtime.sendMessage({ action: "formState", dirty });
+        } catch (e) {}
+    }
+
+    // Debounced so typing does not flood the background worker
+    function scheduleFormCheck() {
+        clearTimeout(scheduleFormCheck._t);
+        scheduleFormCheck._t = setTimeout(reportFormState, 500);
+    }
+
+    document.addEventListener(
+        "input",
+        (e) => {
+            if (e.target?.isContentEditable) editableDirty = true;
+            scheduleFormCheck();
+        },
+        { capture: true, passive: true }
+    );
+    document.addEventListener("change", scheduleFormCheck, {
+        capture: true,
+        passive: true,
+    });
+    // Submitted or reset forms are no longer considered unsaved
+    document.addEventListener(
+        "submit",
+        () => {
+            editableDirty = false;
+            setTimeout(reportFormState, 0);
+        },
+        { capture: true }
+    );
+    document.addEventListener("reset", () => setTimeout(reportFormState, 0), {
+        capture: true,
+    });
+
+    // ------------------------------------------------------------------------
+    // Page activity signals
+    // ------------------------------------------------------------------------
+    // Pages can be in use without any input: playing media (muted included),
+    // fullscreen or picture-in-picture, calls and screen or camera capture
+    // (counted by page-signals.js in the page's own world). Pages can also
+    // opt out with <meta name="smart-suspender" content="never"> or by
+    // dispatching a "smart-suspender:opt-out" event on document (detail
+    // false opts back in).
+    let rtcCounts = { webrtc: 0, capture: 0 };
+    let optOutEvent = null; // null until the page dispatches the event
+    let lastSignals = null;
+
+    function isMediaPlaying() {
+        return Array.from(document.querySelectorAll("video, audio")).some(
+            (m) => !m.paused && !m.ended && m.readyState > 2
+        );
+    }
+
+    function hasOptOutMeta() {
+        const meta = document.querySelector('meta[name="smart-suspender" i]');
+        return meta?.content.trim().toLowerCase() === "never";
+    }
+
+    // Always sent once per document so signals of the previous page in
+    // this tab are replaced
+    function reportSignals() {
+        const signals = {
+            media: isMediaPlaying(),
+            fullscreen: !!document.fullscreenElement,
+            pictureInPicture: !!document.pictureInPictureElement,
+            webrtc: rtcCounts.webrtc > 0,
+            capture: rtcCounts.capture > 0,
+            optOut: optOutEvent ?? hasOptOutMeta(),
+        };
+        const json = JSON.stringify(signals);
+        if (json === lastSignals) return;
+        lastSignals = json;
+        try {
+            chrome.runtime.sendMessage({ action: "pageSignals", signals });
+        } catch (e) {}
+    }
+
+    function scheduleSignalsReport() {
+        clearTimeout(scheduleSignalsReport._t);
+        scheduleSignalsReport._t = setTimeout(reportSignals, 300);
+    }
+
+    // Media events do not bubble, so listen in the capture phase
+    [
+        "play",
+        "playing",
+        "pause",
+        "ended",
+        "emptied",
+        "enterpictureinpicture",
+        "leavepictureinpicture",
+    ].forEach((event) =>
+        document.addEventListener(event, scheduleSignalsReport, {
+            capture: true,
+            passive: true,
+        })
+    );
+    document.addEventListener("fullscreenchange", scheduleSignalsReport);
+    document.addEventListener("smart-suspender:rtc", (e) => {
+        rtcCounts = {
+            webrtc: Number(e.detail?.webrtc) || 0,
+            capture: Number(e.detail?.capture) || 0,
+        };
+        scheduleSignalsReport();
+    });
+    document.addEventListener("smart-suspender:opt-out", (e) => {
+        optOutEvent = e.detail !== false;
+        scheduleSignalsReport();
+    });
+    document.dispatchEvent(new CustomEvent("smart-suspender:query"));
+    scheduleSignalsReport();
+
+    // ------------------------------------------------------------------------
+    // Page state capture / restore
+    // ------------------------------------------------------------------------
+    // Passwords, payment details and similar secrets are never captured.
+    const SENSITIVE_NAME =
+        /pass(word|wd)?|secret|token|otp|pin\b|cvc|cvv|card|ccnum|cc-?num|iban|ssn|expir/i;
+
+    function isSensitiveField(el) {
+        if (el.type === "password" || el.type === "file") return true;
+        const autocomplete = (
+            el.getAttribute("autocomplete") || ""
+        ).toLowerCase();
+        if (
+            autocomplete.startsWith("cc-") ||
+            /password|one-time-code/.test(autocomplete)
+        )
+            return true;
+        return SENSITIVE_NAME.test(`${el.name || ""} ${el.id || ""}`);
+    }
+
+    // Stable key so a field can be found again after the page reloads
+    function fieldKeys() {
+        const seen = {};
+        return Array.from(
+            document.querySelectorAll("input, textarea, select")
+        ).map((el, i) => {
+            let key = el.id
+                ? `id:${el.id}`
+                : el.name
+                ? `name:${el.name}`
+                : `idx:${i}`;
+            seen[key] = (seen[key] || 0) + 1;
+            if (!el.id) key += `:${seen[key]}`;
+            return { el, key };
+        });
+    }
+
+    function captureState() {
+        const fields = {};
+        for (const { el, key } of fieldKeys()) {
+            if (isSensitiveField(el) || !isFieldDirty(el)) continue;
+            if (el.type === "checkbox" || el.type === "radio") {
+                fields[key] = { checked: el.checked };
+            } else if (el.tagName === "SELECT") {
+                fields[key] = {
+                    selected: Array.from(el.options)
+                        .filter((o) => o.selected)
+                        .map((o) => o.value),
+                };
+            } else {
+                fields[key] = { value: el.value };
+            }
+        }
+        return { scrollX: window.scrollX, scrollY: window.scrollY, fields };
+    }
+
+    function applyState(state) {
+        if (!state) return;
+        for (const { el, key } of fieldKeys()) {
+            const saved = state.fields?.[key];
+            if (!saved || isSensitiveField(el)) continue;
+            if ("checked" in saved) el.checked = saved.checked;
+            else if (saved.selected) {
+                Array.from(el.options).forEach(
+                    (o) => (o.selected = saved.selected.includes(o.value))
+                );
+            } else el.value = saved.value;
+            // Let page frameworks notice the restored value
+            el.dispatchEvent(new Event("input", { bubbles: true }));
+            el.dispatchEvent(new Event("change", { bubbles: true }));
+        }
+        // Late-rendering pages may not be tall enough yet; retry briefly
+        const scroll = () =>
+            window.scrollTo(state.scrollX || 0, state.scrollY || 0);
+        scroll();
+        [300, 1000, 2500].forEach((ms) =>
+            setTimeout(() => {
+                if (Math.abs(window.scrollY - (state.scrollY || 0)) > 2)
+                    scroll();
+            }, ms)
+        );
+    }
+
+    // ------------------------------------------------------------------------
+    // Background requests
+    // ------------------------------------------------------------------------
+    chrome.runtime.onMessage.addListener((req, sender, sendResponse) => {
+        switch (req?.action) {
+            case "confirmSuspend":
+                // Warn before a manual suspend throws away unsaved input
+                sendResponse({
+                    confirmed: window.confirm(
+                        "This page has unsaved form input that will be lost if the tab is suspended. Suspend anyway?"
+                    ),
+                });
+                return;
+            case "captureState":
+                sendResponse(captureState());
+                return;
+            case "applyState":
+                applyState(req.state);
+                sendResponse({ ok: true });
+                return;
+        }
+    });
 })();
@@ -13,7 +13,93 @@ document.addEventListener("DOMContentLoaded", async () => {
     const ignorePinnedToggle = document.getElementById("ignore-pinned-toggle");
     const ignoreAudioToggle = document.getElementById("ignore-audio-toggle");
     const ignoreActiveToggle = document.getElementById("ignore-active-toggle");
+    const ignoreFormsToggle = document.getElementById("ignore-forms-toggle");
+    const ignoreMediaToggle = document.getElementById("ignore-media-toggle");
+    const ignoreFullscreenToggle = document.getElementById(
+        "ignore-fullscreen-toggle"
+    );
+    const ignoreCallsToggle = document.getElementById("ignore-calls-toggle");
+    const pageOptOutToggle = document.getElementById("page-opt-out-toggle");
+    const badgeModeSelect = document.getElementById("badge-mode");
+    const collapsedGroupsToggle = document.getElementById(
+        "collapsed-groups-toggle"
+    );
+    const unfocusedWindowsToggle = document.getElementById(
+        "unfocused-windows-toggle"
+    );
+    const unfocusedWindowMinutesSelect = document.getElementById(
+        "unfocused-window-minutes"
+    );
     const urlWhitelistTextarea = document.getElementById("url-whitelist");
+    const whitelistErrors = document.getElementById("whitelist-errors");
+    const whitelistTester = document.getElementById("whitelist-tester");
+    const restoreStateToggle = document.getElementById("restore-state-toggle");
+    const restoreConcurrencySelect = document.getElementById(
+        "restore-concurrency"
+    );
+    const lazyRestoreToggle = document.getElementById("lazy-restore-toggle");
+    const pageStateOptOutTextarea =
+        document.getElementById("page-state-opt-out");
+    const thumbnailsToggle = document.getElementById("thumbnails-toggle");
+    const thumbnailQualitySelect = document.getElementById("thumbnail-quality");
+    const thumbnailSizeSelect = document.getElementById("thumbnail-size");
+    const suspendStrategySelect = document.getElementById("suspend-strategy");
+    const strategyOverridesTextarea =
+        document.getElementById("strategy-overrides");
+    const idleMinutesSelect = document.getElementById("idle-minutes");
+    const suspendOnIdleToggle = document.getElementById(
+        "suspend-on-idle-toggle"
+    );
+    const suspendOnLockToggle = document.getElementById(
+        "suspend-on-lock-toggle"
+    );
+    const pauseWhileAwayToggle = document.getElementById(
+        "pause-while-away-toggle"
+    );
+    const memoryPressureToggle = document.getElementById(
+        "memory-pressure-toggle"
+    );
+    const memoryThresholdSelect = document.getElementById("memory-threshold");
+    const memoryIntervalSelect = document.getElementById("memory-interval");
+    const memoryStatus = document.getElementById("memory-status");
+    const tabCapToggle = document.getElementById("tab-cap-toggle");
+    const tabCapMaxSelect = document.getElementById("tab-cap-max");
+    const tabCapScopeSelect = document.getElementById("tab-cap-scope");
+    const externalApiAllowlistTextarea = document.getElementById(
+        "external-api-allowlist"
+    );
+    const externalApiErrors = document.getElementById("external-api-errors");
+    const rulesList = document.getElementById("rules-list");
+    const addRuleBtn = document.getElementById("add-rule-btn");
+    const sessionExportScope = document.getElementById("session-export-scope");
+    const exportJsonBtn = document.getElementById("export-json-btn");
+    const exportHtmlBtn = document.getElementById("export-html-btn");
+    const exportTextBtn = document.getElementById("export-text-btn");
+    const importSessionBtn = document.getElementById("import-session-btn");
+    const sessionImportFile = document.getElementById("session-import-file");
+    const sessionImportStatus = document.getElementById(
+        "session-import-status"
+    );
+    const statsChart = document.getElementById("stats-chart");
+    const statsDomains = document.getElementById("stats-domains");
+    const statsSince = document.getElementById("stats-since");
+    const resetStatsBtn = document.getElementById("reset-stats-btn");
+    const tabStatusList = document.getElementById("tab-status-list");
+    const tabStatusUpdated = document.getElementById("tab-status-updated");
+    const refreshTabStatusBtn = document.getElementById(
+        "refresh-tab-status-btn"
+    );
+    const syncSettingsToggle = document.getElementById("sync-settings-toggle");
+    const syncStatus = document.getElementById("sync-status");
+    const exportSettingsBtn = document.getElementById("export-settings-btn");
+    const importSettingsBtn = document.getElementById("import-settings-btn");
+    const settingsImportFile = document.getElementById("settings-import-file");
+    const settingsImportStatus = document.getElementById(
+        "settings-import-status"
+    );
+    const settingsImportErrors = document.getElementById(
+        "settings-import-errors"
+    );
 
     // Keyboard shortcut display elements
     const suspendTabDisplay = document.getElementById("suspend-tab-display");
@@ -29,19 +115,24 @@ document.addEventListener("DOMContentLoaded", async () => {
     const unsuspendAllTabsDisplay = document.getElementById(
         "unsuspend-all-tabs-display"
     );
+    const snoozeTabDisplay = document.getElementById("snooze-tab-display");
+    const snoozeAllDisplay = document.getElementById("snooze-all-display");
+    const suspendGroupDisplay = document.getElementById(
+        "suspend-group-display"
+    );
+    const unsuspendGroupDisplay = document.getElementById(
+        "unsuspend-group-display"
+    );
+    const suspendWindowDisplay = document.getElementById(
+        "suspend-window-display"
+    );
+    const unsuspendWindowDisplay = document.getElementById(
+        "unsuspend-window-display"
+    );
     const editShortcutsBtn = document.getElementById("edit-shortcuts-btn");
 
-    // Default settings (must match background.js)
-    const defaultSettings = {
-        autoSuspend: true,
-        autoSuspendTime: 30,
-        ignorePinned: true,
-        ignoreAudio: true,
-        ignoreActive: true,
-        urlWhitelist: "",
-    };
-
-    let currentSettings = { ...defaultSettings };
+    // Defaults come from settings.js, shared with the background worker
+    let currentSettings = { ...DEFAULT_SETTINGS };
 
     // ========================================================================
     // SETTINGS MANAGEMENT
@@ -53,7 +144,7 @@ document.addEventListener("DOMContentLoaded", async () => {
             const response = await chrome.runtime.sendMessage({
                 action: "getSettings",
             });
-            currentSettings = { ...defaultSettings, ...response };
+            currentSettings = { ...DEFAULT_SETTINGS, ...response };
 
             // Update UI elements
             suspendTimeSelect.value = currentSettings.autoSuspend
@@ -62,7 +153,65 @@ document.addEventListener("DOMContentLoaded", async () => {
             setToggleState(ignorePinnedToggle, currentSettings.ignorePinned);
             setToggleState(ignoreAudioToggle, currentSettings.ignoreAudio);
             setToggleState(ignoreActiveToggle, currentSettings.ignoreActive);
+            setToggleState(ignoreFormsToggle, currentSettings.ignoreForms);
+            setToggleState(ignoreMediaToggle, currentSettings.ignoreMedia);
+            setToggleState(
+                ignoreFullscreenToggle,
+                currentSettings.ignoreFullscreen
+            );
+            setToggleState(ignoreCallsToggle, currentSettings.ignoreCalls);
+            setToggleState(pageOptOutToggle, currentSettings.honorPageOptOut);
+            badgeModeSelect.value = currentSettings.badgeMode;
+            setToggleState(
+                collapsedGroupsToggle,
+                currentSettings.suspendCollapsedGroups
+            );
+            setToggleState(
+                unfocusedWindowsToggle,
+                currentSettings.suspendUnfocusedWindows
+            );
+            unfocusedWindowMinutesSelect.value =
+                currentSettings.unfocusedWindowMinutes;
             urlWhitelistTextarea.value = currentSettings.urlWhitelist || "";
+            setToggleState(
+                restoreStateToggle,
+                currentSettings.restorePageState
+            );
+            pageStateOptOutTextarea.value =
+                currentSettings.pageStateOptOut || "";
+            restoreConcurrencySelect.value = currentSettings.restoreConcurrency;
+            setToggleState(lazyRestoreToggle, currentSettings.lazyRestore);
+            setToggleState(thumbnailsToggle, currentSettings.thumbnails);
+            thumbnailQualitySelect.value = currentSettings.thumbnailQuality;
+            thumbnailSizeSelect.value = currentSettings.thumbnailMaxWidth;
+            suspendStrategySelect.value = currentSettings.suspendStrategy;
+            strategyOverridesTextarea.value =
+                currentSettings.strategyOverrides || "";
+            idleMinutesSelect.value = currentSettings.idleMinutes;
+            setToggleState(suspendOnIdleToggle, currentSettings.suspendOnIdle);
+            setToggleState(suspendOnLockToggle, currentSettings.suspendOnLock);
+            setToggleState(
+                pauseWhileAwayToggle,
+                currentSettings.pauseWhileAway
+            );
+            setToggleState(
+                memoryPressureToggle,
+                currentSettings.memoryPressure
+            );
+            memoryThresholdSelect.value =
+                currentSettings.memoryThresholdPercent;
+            memoryIntervalSelect.value = currentSettings.memoryCheckMinutes;
+            setToggleState(tabCapToggle, currentSettings.tabCap);
+            tabCapMaxSelect.value = currentSettings.tabCapMax;
+            tabCapScopeSelect.value = currentSettings.tabCapScope;
+            setToggleState(syncSettingsToggle, currentSettings.syncSettings);
+            externalApiAllowlistTextarea.value =
+                currentSettings.externalApiAllowlist || "";
+            renderRules();
+            refreshWhitelistTester();
+            refreshExternalApiErrors();
+            refreshMemoryStatus();
+            refreshSyncStatus();
 
             // Update keyboard shortcut displays
             updateShortcutDisplays();
@@ -84,7 +233,40 @@ document.addEventListener("DOMContentLoaded", async () => {
                 ignorePinned: getToggleState(ignorePinnedToggle),
                 ignoreAudio: getToggleState(ignoreAudioToggle),
                 ignoreActive: getToggleState(ignoreActiveToggle),
+                ignoreForms: getToggleState(ignoreFormsToggle),
+                ignoreMedia: getToggleState(ignoreMediaToggle),
+                ignoreFullscreen: getToggleState(ignoreFullscreenToggle),
+                ignoreCalls: getToggleState(ignoreCallsToggle),
+                honorPageOptOut: getToggleState(pageOptOutToggle),
+                badgeMode: badgeModeSelect.value,
+                suspendCollapsedGroups: getToggleState(collapsedGroupsToggle),
+                suspendUnfocusedWindows: getToggleState(unfocusedWindowsToggle),
+                unfocusedWindowMinutes: parseInt(
+                    unfocusedWindowMinutesSelect.value
+                ),
                 urlWhitelist: urlWhitelistTextarea.value.trim(),
+                restorePageState: getToggleState(restoreStateToggle),
+                pageStateOptOut: pageStateOptOutTextarea.value.trim(),
+                restoreConcurrency: parseInt(restoreConcurrencySelect.value),
+                lazyRestore: getToggleState(lazyRestoreToggle),
+                thumbnails: getToggleState(thumbnailsToggle),
+                thumbnailQuality: parseInt(thumbnailQualitySelect.value),
+                thumbnailMaxWidth: parseInt(thumbnailSizeSelect.value),
+                suspendStrategy: suspendStrategySelect.value,
+                strategyOverrides: strategyOverridesTextarea.value.trim(),
+                rules: currentSettings.rules,
+                idleMinutes: parseInt(idleMinutesSelect.value),
+                suspendOnIdle: getToggleState(suspendOnIdleToggle),
+                suspendOnLock: getToggleState(suspendOnLockToggle),
+                pauseWhileAway: getToggleState(pauseWhileAwayToggle),
+                memoryPressure: getToggleState(memoryPressureToggle),
+                memoryThresholdPercent: parseInt(memoryThresholdSelect.value),
+                memoryCheckMinutes: parseFloat(memoryIntervalSelect.value),
+                tabCap: getToggleState(tabCapToggle),
+                tabCapMax: parseInt(tabCapMaxSelect.value),
+                tabCapScope: tabCapScopeSelect.value,
+                syncSettings: getToggleState(syncSettingsToggle),
+                externalApiAllowlist: externalApiAllowlistTextarea.value.trim(),
             };
 
             currentSettings = { ...currentSettings, ...settings };
@@ -123,6 +305,229 @@ document.addEventListener("DOMContentLoaded", async () => {
         await saveSettings(); // Auto-save on change
     }
 
+    // Current free memory and the last suspension memory pressure caused
+    async function refreshMemoryStatus() {
+        if (!memoryStatus) return;
+        try {
+            const { freePercent, lastAction } =
+                await chrome.runtime.sendMessage({
+                    action: "getMemoryStatus",
+                });
+            const parts = [];
+            if (freePercent != null)
+                parts.push(`${freePercent.toFixed(0)}% free now`);
+            if (lastAction)
+                parts.push(
+                    `last suspended ${
+                        lastAction.suspended
+                    } tab(s) at ${new Date(lastAction.at).toLocaleTimeString()}`
+                );
+            memoryStatus.textContent = parts.join(" · ");
+        } catch (error) {
+            console.error("Failed to load memory status:", error);
+        }
+    }
+
+    // ========================================================================
+    // WHITELIST PATTERN TESTER
+    // ========================================================================
+
+    // Shows invalid lines and, for every open tab, the line protecting it.
+    // Uses the unsaved textarea contents so edits can be tried before saving.
+    async function refreshWhitelistTester() {
+        if (!whitelistTester) return;
+        try {
+            const result = await chrome.runtime.sendMessage({
+                action: "testWhitelist",
+                text: urlWhitelistTextarea.value,
+            });
+            whitelistErrors.textContent = "";
+            result.errors.forEach((e) => {
+                const row = document.createElement("div");
+                row.textContent = `Line ${e.line}: "${e.pattern}" - ${e.error}`;
+                whitelistErrors.appendChild(row);
+            });
+
+            whitelistTester.textContent = "";
+            result.tabs
+                .filter((t) => t.url)
+                .forEach((t) => {
+                    const row = document.createElement("div");
+                    row.className = "tester-row";
+                    const url = document.createElement("span");
+                    url.className = "tester-url";
+                    url.textContent = t.url;
+                    url.title = t.title || t.url;
+                    const match = document.createElement("span");
+                    match.className = "tester-match";
+                    if (t.match) {
+                        match.classList.add("protected");
+                        match.textContent = `line ${t.match.line}: ${t.match.pattern}`;
+                    } else {
+                        match.textContent = "not protected";
+                    }
+                    row.append(url, match);
+                    whitelistTester.appendChild(row);
+                });
+        } catch (error) {
+            console.error("Failed to test whitelist:", error);
+        }
+    }
+
+    // Extension IDs are 32 letters from a to p; other lines are ignored
+    function refreshExternalApiErrors() {
+        if (!externalApiErrors) return;
+        externalApiErrors.textContent = "";
+        externalApiAllowlistTextarea.value.split(/\r?\n/).forEach((line, i) => {
+            const id = line.trim();
+            if (!id || /^[a-p]{32}$/.test(id)) return;
+            const row = document.createElement("div");
+            row.textContent = `Line ${i + 1}: "${id}" - not an extension ID`;
+            externalApiErrors.appendChild(row);
+        });
+    }
+
+    // ========================================================================
+    // SITE RULES EDITOR
+    // ========================================================================
+
+    // Tri-state select for per-rule overrides of the global ignore toggles
+    function overrideSelect(label, value, onChange) {
+        const select = document.createElement("select");
+        select.className = "select-dropdown";
+        select.title = label;
+        [
+            ["", `${label}: default`],
+            ["true", `${label}: never suspend`],
+            ["false", `${label}: allow`],
+        ].forEach(([v, text]) => select.add(new Option(text, v)));
+        select.value = value == null ? "" : String(value);
+        select.addEventListener("change", () =>
+            onChange(select.value === "" ? null : select.value === "true")
+        );
+        return select;
+    }
+
+    function ruleButton(text, title, disabled, onClick) {
+        const btn = document.createElement("button");
+        btn.className = "rule-btn";
+        btn.textContent = text;
+        btn.title = title;
+        btn.disabled = disabled;
+        btn.addEventListener("click", onClick);
+        return btn;
+    }
+
+    function renderRules() {
+        const rules = currentSettings.rules || [];
+        rulesList.textContent = "";
+        if (!rules.length) {
+            const empty = document.createElement("div");
+            empty.className = "rules-empty";
+            empty.textContent =
+                "No rules yet. Every site uses the settings above.";
+            rulesList.appendChild(empty);
+        }
+        rules.forEach((rule, i) => {
+            const row = document.createElement("div");
+            row.className = "rule-row";
+
+            const pattern = document.createElement("input");
+            pattern.className = "time-input rule-pattern";
+            pattern.placeholder = "e.g. *.atlassian.net";
+            pattern.value = rule.pattern;
+            pattern.addEventListener("change", () => {
+                rule.pattern = pattern.value.trim();
+                if (rule.pattern) saveRules();
+            });
+            markInvalidPattern(pattern, rule.pattern);
+
+            const action = document.createElement("select");
+            action.className = "select-dropdown";
+            [
+                ["timeout", "Suspend after"],
+                ["never", "Never suspend"],
+                ["onSwitch", "Suspend on tab switch"],
+            ].forEach(([v, text]) => action.add(new Option(text, v)));
+            action.value = rule.action;
+            action.addEventListener("change", () => {
+                rule.action = action.value;
+                if (rule.action === "timeout" && !rule.minutes)
+                    rule.minutes = 30;
+                saveRules();
+            });
+
+            const minutes = document.createElement("input");
+            minutes.className = "time-input rule-minutes";
+            minutes.type = "number";
+            minutes.min = "1";
+            minutes.title = "Minutes";
+            minutes.value = rule.minutes || 30;
+            minutes.hidden = rule.action !== "timeout";
+            minutes.addEventListener("change", () => {
+                const value = parseInt(minutes.value);
+                if (value > 0) {
+                    rule.minutes = value;
+                    saveRules();
+                }
+            });
+
+            row.append(
+                pattern,
+                action,
+                minutes,
+                overrideSelect("Pinned", rule.ignorePinned, (v) => {
+                    rule.ignorePinned = v;
+                    saveRules();
+                }),
+                overrideSelect("Audio", rule.ignoreAudio, (v) => {
+                    rule.ignoreAudio = v;
+                    saveRules();
+                }),
+                ruleButton("↑", "Move up", i === 0, () => moveRule(i, -1)),
+                ruleButton("↓", "Move down", i === rules.length - 1, () =>
+                    moveRule(i, 1)
+                ),
+                ruleButton("✕", "Delete rule", false, () => {
+                    rules.splice(i, 1);
+                    saveRules();
+                })
+            );
+            rulesList.appendChild(row);
+        });
+    }
+
+    // Flag rule patterns the background cannot compile
+    async function markInvalidPattern(input, pattern) {
+        if (!pattern) return;
+        try {
+            const { errors } = await chrome.runtime.sendMessage({
+                action: "testRulePattern",
+                pattern,
+            });
+            input.classList.toggle("invalid", errors.length > 0);
+            input.title = errors
+                .map((e) => `${e.pattern}: ${e.error}`)
+                .join("\n");
+        } catch (error) {
+            console.error("Failed to validate rule pattern:", error);
+        }
+    }
+
+    function moveRule(index, delta) {
+        const rules = currentSettings.rules;
+        const [rule] = rules.splice(index, 1);
+        rules.splice(index + delta, 0, rule);
+        saveRules();
+    }
+
+    // Rows without a pattern yet are dropped by the background on save but
+    // stay in the editor until filled in
+    async function saveRules() {
+        await saveSettings();
+        renderRules();
+    }
+
     // Navigation setup for different settings sections
     function setupNavigation() {
         const navItems = document.querySelectorAll(".nav-item");
@@ -178,6 +583,30 @@ document.addEventListener("DOMContentLoaded", async () => {
                 unsuspendAllTabsDisplay.textContent =
                     shortcuts["unsuspend-all-tabs"] || "Not set";
             }
+            if (snoozeTabDisplay) {
+                snoozeTabDisplay.textContent =
+                    shortcuts["snooze-tab"] || "Not set";
+            }
+            if (snoozeAllDisplay) {
+                snoozeAllDisplay.textContent =
+                    shortcuts["snooze-all"] || "Not set";
+            }
+            if (suspendGroupDisplay) {
+                suspendGroupDisplay.textContent =
+                    shortcuts["suspend-group"] || "Not set";
+            }
+            if (unsuspendGroupDisplay) {
+                unsuspendGroupDisplay.textContent =
+                    shortcuts["unsuspend-group"] || "Not set";
+            }
+            if (suspendWindowDisplay) {
+                suspendWindowDisplay.textContent =
+                    shortcuts["suspend-window"] || "Not set";
+            }
+            if (unsuspendWindowDisplay) {
+                unsuspendWindowDisplay.textContent =
+                    shortcuts["unsuspend-window"] || "Not set";
+            }
         } catch (error) {
             console.error("Failed to update shortcut displays:", error);
             // Set fallback text
@@ -190,6 +619,16 @@ document.addEventListener("DOMContentLoaded", async () => {
                 suspendAllTabsDisplay.textContent = "Not set";
             if (unsuspendAllTabsDisplay)
                 unsuspendAllTabsDisplay.textContent = "Not set";
+            if (snoozeTabDisplay) snoozeTabDisplay.textContent = "Not set";
+            if (snoozeAllDisplay) snoozeAllDisplay.textContent = "Not set";
+            if (suspendGroupDisplay)
+                suspendGroupDisplay.textContent = "Not set";
+            if (unsuspendGroupDisplay)
+                unsuspendGroupDisplay.textContent = "Not set";
+            if (suspendWindowDisplay)
+                suspendWindowDisplay.textContent = "Not set";
+            if (unsuspendWindowDisplay)
+                unsuspendWindowDisplay.textContent = "Not set";
         }
     }
 
@@ -224,6 +663,445 @@ document.addEventListener("DOMContentLoaded", async () => {
         }, 3000);
     }
 
+    // ========================================================================
+    // SESSION EXPORT / IMPORT
+    // ========================================================================
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    }
+
+    function groupByWindow(tabs) {
+        const windows = new Map();
+        for (const tab of tabs) {
+            if (!windows.has(tab.window)) windows.set(tab.window, []);
+            windows.get(tab.window).push(tab);
+        }
+        return [...windows.values()];
+    }
+
+    // Netscape bookmark file, one folder per window
+    function sessionToHtml(session) {
+        const date = Math.floor(session.exportedAt / 1000);
+        const folders = groupByWindow(session.tabs).map((tabs, i) => {
+            const links = tabs
+                .map(
+                    (t) =>
+                        `        <DT><A HREF="${escapeHtml(
+                            t.url
+                        )}" ADD_DATE="${date}">${escapeHtml(t.title)}</A>`
+                )
+                .join("\n");
+            return `    <DT><H3 ADD_DATE="${date}">Window ${
+                i + 1
+            }</H3>\n    <DL><p>\n${links}\n    </DL><p>`;
+        });
+        return [
+            "<!DOCTYPE NETSCAPE-Bookmark-file-1>",
+            '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+            "<TITLE>Bookmarks</TITLE>",
+            "<H1>Bookmarks</H1>",
+            "<DL><p>",
+            ...folders,
+            "</DL><p>",
+            "",
+        ].join("\n");
+    }
+
+    // "url | title" per line, a blank line between windows
+    function sessionToText(session) {
+        return (
+            groupByWindow(session.tabs)
+                .map((tabs) =>
+                    tabs.map((t) => `${t.url} | ${t.title}`).join("\n")
+                )
+                .join("\n\n") + "\n"
+        );
+    }
+
+    function parseHtmlSession(text) {
+        const doc = new DOMParser().parseFromString(text, "text/html");
+        return Array.from(doc.querySelectorAll("a[href]")).map((a, index) => {
+            // Links in the same bookmark folder end up in the same window
+            const folder = a.closest("dl")?.previousElementSibling;
+            return {
+                url: a.getAttribute("href"),
+                title: a.textContent.trim(),
+                window: folder?.tagName === "H3" ? folder.textContent : "",
+                index,
+            };
+        });
+    }
+
+    function parseTextSession(text) {
+        let windowIndex = 0;
+        const tabs = [];
+        text.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) {
+                windowIndex++;
+                return;
+            }
+            const sep = line.indexOf(" | ");
+            const url = (sep >= 0 ? line.slice(0, sep) : line).trim();
+            const title = sep >= 0 ? line.slice(sep + 3).trim() : "";
+            tabs.push({ url, title: title || url, window: windowIndex, index });
+        });
+        return tabs;
+    }
+
+    function parseSessionFile(text) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith("{")) {
+            const data = JSON.parse(trimmed);
+            if (!Array.isArray(data.tabs)) {
+                throw new Error("Not a Smart Suspender session file");
+            }
+            return data.tabs;
+        }
+        if (trimmed.startsWith("<")) return parseHtmlSession(trimmed);
+        return parseTextSession(trimmed);
+    }
+
+    function downloadFile(name, type, content) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = name;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async function exportSession(format) {
+        try {
+            const session = await chrome.runtime.sendMessage({
+                action: "exportSession",
+                scope: sessionExportScope?.value || "suspended",
+            });
+            if (!session?.tabs?.length) {
+                showNotification("No tabs to export", "error");
+                return;
+            }
+            const stamp = new Date().toISOString().slice(0, 10);
+            const name = `smart-suspender-${stamp}`;
+            if (format === "html") {
+                downloadFile(
+                    `${name}.html`,
+                    "text/html",
+                    sessionToHtml(session)
+                );
+            } else if (format === "text") {
+                downloadFile(
+                    `${name}.txt`,
+                    "text/plain",
+                    sessionToText(session)
+                );
+            } else {
+                downloadFile(
+                    `${name}.json`,
+                    "application/json",
+                    JSON.stringify(session, null, 2)
+                );
+            }
+            showNotification(
+                `Exported ${session.tabs.length} tab(s)`,
+                "success"
+            );
+        } catch (error) {
+            console.error("Failed to export session:", error);
+            showNotification("Failed to export session", "error");
+        }
+    }
+
+    async function importSession(file) {
+        try {
+            const tabs = parseSessionFile(await file.text());
+            const result = await chrome.runtime.sendMessage({
+                action: "importSession",
+                tabs,
+            });
+            const message = `Imported ${result.count} tab(s)${
+                result.skipped ? `, skipped ${result.skipped}` : ""
+            }`;
+            if (sessionImportStatus) sessionImportStatus.textContent = message;
+            showNotification(message, result.count ? "success" : "error");
+        } catch (error) {
+            console.error("Failed to import session:", error);
+            showNotification("Could not read session file", "error");
+        }
+    }
+
+    // ========================================================================
+    // STATISTICS
+    // ========================================================================
+
+    const STATS_CHART_DAYS = 30;
+
+    const sumCounts = (counts) =>
+        Object.values(counts || {}).reduce((a, b) => a + b, 0);
+
+    function formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${minutes} min`;
+        const hours = minutes / 60;
+        if (hours < 48) return `${hours.toFixed(1)} h`;
+        return `${(hours / 24).toFixed(1)} days`;
+    }
+
+    function formatMegabytes(mb) {
+        return mb >= 1024 ? `${(mb / 1024).toFixed(1)} GB` : `${mb} MB`;
+    }
+
+    // Local-date keys for the last STATS_CHART_DAYS days, oldest first
+    function recentDayKeys() {
+        const pad = (n) => String(n).padStart(2, "0");
+        return Array.from({ length: STATS_CHART_DAYS }, (_, i) => {
+            const d = new Date();
+            d.setDate(d.getDate() - (STATS_CHART_DAYS - 1 - i));
+            return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(
+                d.getDate()
+            )}`;
+        });
+    }
+
+    function chartBar(segments, max) {
+        const bar = document.createElement("div");
+        bar.className = "chart-bar";
+        for (const [className, value] of segments) {
+            if (!value) continue;
+            const segment = document.createElement("div");
+            segment.className = className;
+            segment.style.height = `${(value / max) * 100}%`;
+            bar.appendChild(segment);
+        }
+        return bar;
+    }
+
+    function renderStatsChart(days) {
+        statsChart.textContent = "";
+        const rows = recentDayKeys().map((key) => {
+            const day = days[key] || {};
+            const manual = day.suspends?.manual || 0;
+            return {
+                key,
+                manual,
+                auto: sumCounts(day.suspends) - manual,
+                restores: sumCounts(day.restores),
+            };
+        });
+        const max = Math.max(
+            1,
+            ...rows.map((r) => Math.max(r.manual + r.auto, r.restores))
+        );
+        for (const row of rows) {
+            const column = document.createElement("div");
+            column.className = "chart-day";
+            column.title = `${row.key}: ${row.manual} manual, ${row.auto} automatic, ${row.restores} restored`;
+            // Bars fill from the bottom, so heights are relative to the column
+            const suspends = chartBar(
+                [
+                    ["chart-manual", row.manual],
+                    ["chart-auto", row.auto],
+                ],
+                max
+            );
+            suspends.style.height = "100%";
+            const restores = chartBar([["chart-restore", row.restores]], max);
+            restores.style.height = "100%";
+            column.append(suspends, restores);
+            statsChart.appendChild(column);
+        }
+    }
+
+    function renderTopDomains(topDomains) {
+        statsDomains.textContent = "";
+        if (!topDomains.length) {
+            const empty = document.createElement("div");
+            empty.className = "setting-item setting-description";
+            empty.textContent = "No tabs suspended yet";
+            statsDomains.appendChild(empty);
+            return;
+        }
+        for (const { host, count } of topDomains) {
+            const row = document.createElement("div");
+            row.className = "setting-item";
+            const name = document.createElement("div");
+            name.className = "setting-title";
+            name.textContent = host;
+            const value = document.createElement("span");
+            value.className = "shortcut-display";
+            value.textContent = count;
+            row.append(name, value);
+            statsDomains.appendChild(row);
+        }
+    }
+
+    async function refreshStats() {
+        if (!statsChart) return;
+        try {
+            const stats = await chrome.runtime.sendMessage({
+                action: "getStats",
+            });
+            const recent = recentDayKeys().map((k) => stats.days[k] || {});
+            const total = (field) =>
+                recent.reduce((n, day) => n + sumCounts(day[field]), 0);
+            document.getElementById("stat-suspends").textContent =
+                total("suspends");
+            document.getElementById("stat-restores").textContent =
+                total("restores");
+            document.getElementById("stat-average").textContent =
+                stats.averageSuspendedMs != null
+                    ? formatDuration(stats.averageSuspendedMs)
+                    : "–";
+            document.getElementById("stat-memory").textContent =
+                formatMegabytes(
+                    recent.reduce((n, day) => n + (day.memoryMb || 0), 0)
+                );
+            document.getElementById(
+                "stat-memory-label"
+            ).title = `Estimated at ${stats.estimatedTabMb} MB per suspended tab`;
+            renderStatsChart(stats.days);
+            renderTopDomains(stats.topDomains);
+            if (statsSince) {
+                statsSince.textContent = `Collecting since ${new Date(
+                    stats.since
+                ).toLocaleDateString()}`;
+            }
+        } catch (error) {
+            console.error("Failed to load statistics:", error);
+        }
+    }
+
+    // ========================================================================
+    // TAB STATUS
+    // ========================================================================
+
+    function tabStatusText(tab) {
+        if (tab.eligible) {
+            return tab.remainingMs > 0
+                ? `Suspends in ${formatDuration(tab.remainingMs)}`
+                : "Suspends at the next check";
+        }
+        return tab.message;
+    }
+
+    async function refreshTabStatus() {
+        if (!tabStatusList) return;
+        try {
+            const tabs = await chrome.runtime.sendMessage({
+                action: "getTabDiagnostics",
+            });
+            tabStatusList.textContent = "";
+            for (const tab of tabs) {
+                const row = document.createElement("div");
+                row.className = "setting-item";
+                const info = document.createElement("div");
+                info.className = "setting-info";
+                const title = document.createElement("div");
+                title.className = "setting-title";
+                title.textContent = tab.title || tab.url;
+                const url = document.createElement("div");
+                url.className = "setting-description";
+                url.textContent = tab.url;
+                info.append(title, url);
+                const status = document.createElement("span");
+                status.className = "shortcut-display";
+                status.textContent = tabStatusText(tab);
+                row.append(info, status);
+                tabStatusList.appendChild(row);
+            }
+            const time = new Date().toLocaleTimeString();
+            tabStatusUpdated.textContent = `${tabs.length} tabs, as of ${time}`;
+        } catch (error) {
+            console.error("Failed to load tab status:", error);
+        }
+    }
+
+    // ========================================================================
+    // SETTINGS BACKUP & SYNC
+    // ========================================================================
+
+    async function refreshSyncStatus() {
+        if (!syncStatus) return;
+        try {
+            const { enabled, at, error } = await chrome.runtime.sendMessage({
+                action: "getSyncStatus",
+            });
+            if (!enabled) return;
+            syncStatus.textContent = error
+                ? `Sync failed: ${error}`
+                : at
+                ? `Last synced at ${new Date(at).toLocaleTimeString()}`
+                : "Waiting for the first sync";
+        } catch (error) {
+            console.error("Failed to load sync status:", error);
+        }
+    }
+
+    async function exportSettings() {
+        try {
+            const data = await chrome.runtime.sendMessage({
+                action: "exportSettings",
+            });
+            const stamp = new Date().toISOString().slice(0, 10);
+            downloadFile(
+                `smart-suspender-settings-${stamp}.json`,
+                "application/json",
+                JSON.stringify(data, null, 2)
+            );
+        } catch (error) {
+            console.error("Failed to export settings:", error);
+            showNotification("Failed to export settings", "error");
+        }
+    }
+
+    // Entries that fail validation are listed under the import button
+    async function importSettings(file) {
+        let result;
+        try {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch {
+                throw new Error("The file is not valid JSON");
+            }
+            result = await chrome.runtime.sendMessage({
+                action: "importSettings",
+                data,
+            });
+        } catch (error) {
+            console.error("Failed to import settings:", error);
+            result = { success: false, errors: [error.message] };
+        }
+
+        const errors = result?.errors || [];
+        if (settingsImportErrors) {
+            settingsImportErrors.textContent = "";
+            errors.forEach((e) => {
+                const row = document.createElement("div");
+                row.textContent = e;
+                settingsImportErrors.appendChild(row);
+            });
+            settingsImportErrors.hidden = !errors.length;
+        }
+        if (result?.success) {
+            if (settingsImportStatus) {
+                settingsImportStatus.textContent = `Imported ${
+                    result.applied
+                } setting(s)${
+                    errors.length ? `, skipped ${errors.length}` : ""
+                }`;
+            }
+            showNotification("Settings imported", "success");
+            await loadSettings();
+        } else {
+            showNotification("Could not import settings", "error");
+        }
+    }
+
     // ========================================================================
     // EVENT LISTENERS
     // ========================================================================
@@ -251,8 +1129,27 @@ document.addEventListener("DOMContentLoaded", async () => {
         );
     }
 
+    [
+        ignoreMediaToggle,
+        ignoreFullscreenToggle,
+        ignoreCallsToggle,
+        pageOptOutToggle,
+    ].forEach((toggle) =>
+        toggle?.addEventListener("click", () => toggleState(toggle))
+    );
+
+    if (ignoreFormsToggle) {
+        ignoreFormsToggle.addEventListener("click", () =>
+            toggleState(ignoreFormsToggle)
+        );
+    }
+
     if (urlWhitelistTextarea) {
         urlWhitelistTextarea.addEventListener("blur", saveSettings);
+        urlWhitelistTextarea.addEventListener("input", () => {
+            clearTimeout(refreshWhitelistTester._t);
+            refreshWhitelistTester._t = setTimeout(refreshWhitelistTester, 300);
+        });
         // Save on Ctrl+S
         urlWhitelistTextarea.addEventListener("keydown", async (e) => {
             if (e.ctrlKey && e.key === "s") {
@@ -262,6 +1159,153 @@ document.addEventListener("DOMContentLoaded", async () => {
         });
     }
 
+    if (restoreStateToggle) {
+        restoreStateToggle.addEventListener("click", () =>
+            toggleState(restoreStateToggle)
+        );
+    }
+
+    if (lazyRestoreToggle) {
+        lazyRestoreToggle.addEventListener("click", () =>
+            toggleState(lazyRestoreToggle)
+        );
+    }
+
+    if (pageStateOptOutTextarea) {
+        pageStateOptOutTextarea.addEventListener("blur", saveSettings);
+    }
+
+    if (thumbnailsToggle) {
+        thumbnailsToggle.addEventListener("click", () =>
+            toggleState(thumbnailsToggle)
+        );
+    }
+
+    [suspendOnIdleToggle, suspendOnLockToggle, pauseWhileAwayToggle].forEach(
+        (toggle) => toggle?.addEventListener("click", () => toggleState(toggle))
+    );
+
+    if (memoryPressureToggle) {
+        memoryPressureToggle.addEventListener("click", () =>
+            toggleState(memoryPressureToggle)
+        );
+    }
+
+    if (collapsedGroupsToggle) {
+        collapsedGroupsToggle.addEventListener("click", () =>
+            toggleState(collapsedGroupsToggle)
+        );
+    }
+
+    if (unfocusedWindowsToggle) {
+        unfocusedWindowsToggle.addEventListener("click", () =>
+            toggleState(unfocusedWindowsToggle)
+        );
+    }
+
+    if (tabCapToggle) {
+        tabCapToggle.addEventListener("click", () => toggleState(tabCapToggle));
+    }
+
+    [
+        thumbnailQualitySelect,
+        thumbnailSizeSelect,
+        suspendStrategySelect,
+        idleMinutesSelect,
+        memoryThresholdSelect,
+        memoryIntervalSelect,
+        tabCapMaxSelect,
+        tabCapScopeSelect,
+        badgeModeSelect,
+        unfocusedWindowMinutesSelect,
+        restoreConcurrencySelect,
+    ].forEach((select) => select?.addEventListener("change", saveSettings));
+
+    if (strategyOverridesTextarea) {
+        strategyOverridesTextarea.addEventListener("blur", saveSettings);
+    }
+
+    if (externalApiAllowlistTextarea) {
+        externalApiAllowlistTextarea.addEventListener("blur", saveSettings);
+        externalApiAllowlistTextarea.addEventListener(
+            "input",
+            refreshExternalApiErrors
+        );
+    }
+
+    if (addRuleBtn) {
+        addRuleBtn.addEventListener("click", () => {
+            currentSettings.rules = [
+                ...(currentSettings.rules || []),
+                { pattern: "", action: "timeout", minutes: 30 },
+            ];
+            renderRules();
+            rulesList
+                .querySelector(".rule-row:last-child .rule-pattern")
+                ?.focus();
+        });
+    }
+
+    exportJsonBtn?.addEventListener("click", () => exportSession("json"));
+    exportHtmlBtn?.addEventListener("click", () => exportSession("html"));
+    exportTextBtn?.addEventListener("click", () => exportSession("text"));
+
+    if (importSessionBtn && sessionImportFile) {
+        importSessionBtn.addEventListener("click", () =>
+            sessionImportFile.click()
+        );
+        sessionImportFile.addEventListener("change", async () => {
+            const file = sessionImportFile.files[0];
+            sessionImportFile.value = "";
+            if (file) await importSession(file);
+        });
+    }
+
+    if (syncSettingsToggle) {
+        syncSettingsToggle.addEventListener("click", async () => {
+            await toggleState(syncSettingsToggle);
+            // Turning sync on may have pulled settings from another machine
+            await loadSettings();
+        });
+    }
+
+    exportSettingsBtn?.addEventListener("click", exportSettings);
+
+    if (importSettingsBtn && settingsImportFile) {
+        importSettingsBtn.addEventListener("click", () =>
+            settingsImportFile.click()
+        );
+        settingsImportFile.addEventListener("change", async () => {
+            const file = settingsImportFile.files[0];
+            settingsImportFile.value = "";
+            if (file) await importSettings(file);
+        });
+    }
+
+    document
+        .querySelector('.nav-item[data-section="statistics"]')
+        ?.addEventListener("click", refreshStats);
+
+    document
+        .querySelector('.nav-item[data-section="diagnostics"]')
+        ?.addEventListener("click", refreshTabStatus);
+    refreshTabStatusBtn?.addEventListener("click", refreshTabStatus);
+
+    if (resetStatsBtn) {
+        resetStatsBtn.addEventListener("click", async () => {
+            if (!confirm("Reset all statistics? This cannot be undone."))
+                return;
+            try {
+                await chrome.runtime.sendMessage({ action: "resetStats" });
+                showNotification("Statistics reset", "success");
+                await refreshStats();
+            } catch (error) {
+                console.error("Failed to reset statistics:", error);
+                showNotification("Failed to reset statistics", "error");
+            }
+        });
+    }
+
     // Edit shortcuts button
     if (editShortcutsBtn) {
         editShortcutsBtn.addEventListener("click", () => {
@@ -0,0 +1,119 @@
+// ============================================================================
+// SMART SUSPENDER - Page Signals (page world)
+// ============================================================================
+// Runs in the page's own JavaScript world at document_start, where WebRTC
+// connections and camera/screen captures are visible. The isolated content
+// script cannot see them, so the counts are handed over with DOM events.
+// Calls usually live in embedded frames, which post their counts to the
+// top frame; only the top frame has a content script.
+// ============================================================================
+
+(function () {
+    "use strict";
+
+    const isTop = window === window.top;
+    const connections = new Set(); // RTCPeerConnection
+    const streams = new Set(); // MediaStream from getUserMedia/getDisplayMedia
+    const frameCounts = new Map(); // child frame window -> its counts
+    let lastReport = "";
+    let pollTimer = null;
+
+    function ownCounts() {
+        for (const pc of connections) {
+            if (pc.connectionState === "closed") connections.delete(pc);
+        }
+        for (const stream of streams) {
+            if (!stream.getTracks().some((t) => t.readyState === "live"))
+                streams.delete(stream);
+        }
+        return {
+            webrtc: Array.from(connections).filter(
+                (pc) => pc.connectionState === "connected"
+            ).length,
+            capture: streams.size,
+        };
+    }
+
+    function report(force) {
+        const detail = ownCounts();
+        for (const [frame, counts] of frameCounts) {
+            if (frame.closed) {
+                frameCounts.delete(frame);
+                continue;
+            }
+            detail.webrtc += counts.webrtc;
+            detail.capture += counts.capture;
+        }
+        // track.stop() fires no event, so poll while anything is tracked
+        if (connections.size || streams.size) {
+            if (!pollTimer) pollTimer = setInterval(report, 10000);
+        } else if (pollTimer) {
+            clearInterval(pollTimer);
+            pollTimer = null;
+        }
+        const json = JSON.stringify(detail);
+        if (!force && json === lastReport) return;
+        lastReport = json;
+        if (isTop) {
+            document.dispatchEvent(
+                new CustomEvent("smart-suspender:rtc", { detail })
+            );
+        } else {
+            window.top.postMessage({ smartSuspenderRtc: detail }, "*");
+        }
+    }
+
+    if (isTop) {
+        window.addEventListener("message", (e) => {
+            const counts = e.data?.smartSuspenderRtc;
+            if (!counts || !e.source || e.source === window) return;
+            frameCounts.set(e.source, {
+                webrtc: Number(counts.webrtc) || 0,
+                capture: Number(counts.capture) || 0,
+            });
+            report();
+        });
+    } else {
+        // A frame that navigates away or is removed takes its call along
+        window.addEventListener("pagehide", () => {
+            if (lastReport)
+                window.top.postMessage(
+                    { smartSuspenderRtc: { webrtc: 0, capture: 0 } },
+                    "*"
+                );
+        });
+    }
+
+    // Every connection sets a description before it can connect. Patching
+    // the prototype leaves the RTCPeerConnection constructor untouched.
+    const peerProto = window.RTCPeerConnection?.prototype;
+    for (const name of ["setLocalDescription", "setRemoteDescription"]) {
+        const native = peerProto?.[name];
+        if (typeof native !== "function") continue;
+        peerProto[name] = function (...args) {
+            if (!connections.has(this)) {
+                connections.add(this);
+                this.addEventListener("connectionstatechange", () => report());
+            }
+            return native.apply(this, args);
+        };
+    }
+
+    const devices = navigator.mediaDevices;
+    for (const name of ["getUserMedia", "getDisplayMedia"]) {
+        const native = devices?.[name];
+        if (typeof native !== "function") continue;
+        devices[name] = async function (...args) {
+            const stream = await native.apply(this, args);
+            streams.add(stream);
+            stream
+                .getTracks()
+                .forEach((t) => t.addEventListener("ended", () => report()));
+            report();
+            return stream;
+        };
+    }
+
+    // The content script loads later and asks for the current state
+    document.addEventListener("smart-suspender:query", () => report(true));
+})();
@@ -9,6 +9,30 @@ document.addEventListener("DOMContentLoaded", async () => {
     const suspendAllBtn = document.getElementById("suspend-all");
     const unsuspendAllBtn = document.getElementById("unsuspend-all");
     const openOptionsBtn = document.getElementById("open-options");
+    const suspendedCount = document.getElementById("suspended-count");
+    const tabSnoozeStatus = document.getElementById("tab-snooze-status");
+    const tabSnoozeDuration = document.getElementById("tab-snooze-duration");
+    const tabSnoozeBtn = document.getElementById("tab-snooze-btn");
+    const allSnoozeStatus = document.getElementById("all-snooze-status");
+    const allSnoozeDuration = document.getElementById("all-snooze-duration");
+    const allSnoozeBtn = document.getElementById("all-snooze-btn");
+    const restoreProgress = document.getElementById("restore-progress");
+    const restoreProgressText = document.getElementById(
+        "restore-progress-text"
+    );
+    const cancelRestoreBtn = document.getElementById("cancel-restore");
+    const suspendWindowBtn = document.getElementById("suspend-window");
+    const unsuspendWindowBtn = document.getElementById("unsuspend-window");
+    const groupActions = document.getElementById("group-actions");
+    const suspendGroupBtn = document.getElementById("suspend-group");
+    const unsuspendGroupBtn = document.getElementById("unsuspend-group");
+    const tabSearch = document.getElementById("tab-search");
+    const tabList = document.getElementById("tab-list");
+    let suspendedWindows = [];
+    let snoozeInterval = null;
+    let activeTabId = null;
+    let restoreProgressTimer = null;
+    let restoreWasRunning = false;
 
     // ========================================================================
     // UI HELPER FUNCTIONS
@@ -52,6 +76,254 @@ document.addEventListener("DOMContentLoaded", async () => {
         }, 2000);
     }
 
+    // Suspended pages and natively discarded tabs both count
+    async function refreshCount() {
+        if (!suspendedCount) return;
+        try {
+            const res = await chrome.runtime.sendMessage({
+                action: "getSuspendedCount",
+            });
+            suspendedCount.textContent = res?.count ?? 0;
+        } catch (error) {
+            console.error("Failed to load suspended count:", error);
+        }
+    }
+
+    // ========================================================================
+    // RESTORE PROGRESS
+    // ========================================================================
+
+    // Polls while a bulk restore is running, then refreshes the list once
+    async function refreshRestoreProgress() {
+        if (!restoreProgress) return;
+        clearTimeout(restoreProgressTimer);
+        try {
+            const progress = await chrome.runtime.sendMessage({
+                action: "getRestoreProgress",
+            });
+            const parts = [];
+            if (progress?.running) {
+                parts.push(
+                    `${progress.cancelled ? "Cancelling" : "Restoring"} ` +
+                        `${progress.done} of ${progress.total}`
+                );
+            }
+            if (progress?.lazy) {
+                parts.push(`${progress.lazy} more restore when opened`);
+            }
+            restoreProgressText.textContent = parts.join(" · ");
+            restoreProgress.hidden = !parts.length;
+            if (progress?.running) {
+                restoreProgressTimer = setTimeout(refreshRestoreProgress, 500);
+            } else if (restoreWasRunning) {
+                refreshList();
+            }
+            restoreWasRunning = !!progress?.running;
+        } catch (error) {
+            console.error("Failed to load restore progress:", error);
+        }
+    }
+
+    cancelRestoreBtn?.addEventListener("click", async () => {
+        try {
+            await chrome.runtime.sendMessage({ action: "cancelRestore" });
+        } catch (error) {
+            console.error("Failed to cancel restore:", error);
+        }
+        refreshRestoreProgress();
+    });
+
+    // ========================================================================
+    // SUSPENDED TAB LIST
+    // ========================================================================
+
+    const REASON_LABELS = {
+        manual: "manual",
+        auto: "inactive",
+        memory: "low memory",
+        cap: "tab limit",
+        import: "imported",
+        adopted: "recovered",
+        group: "group collapsed",
+        window: "window unused",
+        idle: "away",
+    };
+
+    function formatAge(ts) {
+        const mins = Math.floor((Date.now() - ts) / 60000);
+        if (mins < 1) return "just now";
+        if (mins < 60) return `${mins} min ago`;
+        const hours = Math.floor(mins / 60);
+        if (hours < 24) return `${hours} h ago`;
+        return `${Math.floor(hours / 24)} d ago`;
+    }
+
+    function faviconUrl(pageUrl) {
+        const url = new URL(chrome.runtime.getURL("/_favicon/"));
+        url.searchParams.set("pageUrl", pageUrl);
+        url.searchParams.set("size", "16");
+        return url.toString();
+    }
+
+    function tabEntry(tab) {
+        const row = document.createElement("div");
+        row.className = "tab-entry";
+        row.title = tab.url;
+
+        const icon = document.createElement("img");
+        icon.src = faviconUrl(tab.url);
+        icon.alt = "";
+
+        const text = document.createElement("div");
+        text.className = "tab-text";
+        const title = document.createElement("div");
+        title.className = "tab-title";
+        title.textContent = tab.title;
+        const meta = document.createElement("div");
+        meta.className = "tab-meta";
+        meta.textContent = [
+            tab.domain,
+            formatAge(tab.suspendedAt),
+            REASON_LABELS[tab.reason] || tab.reason,
+        ]
+            .filter(Boolean)
+            .join(" · ");
+        text.append(title, meta);
+
+        const close = document.createElement("button");
+        close.className = "tab-close";
+        close.title = "Close tab";
+        close.textContent = "×";
+        close.addEventListener("click", async (e) => {
+            e.stopPropagation();
+            await chrome.runtime.sendMessage({
+                action: "closeSuspendedTab",
+                tabId: tab.tabId,
+            });
+            refreshList();
+        });
+
+        row.addEventListener("click", async () => {
+            await chrome.runtime.sendMessage({
+                action: "openSuspendedTab",
+                tabId: tab.tabId,
+            });
+            window.close();
+        });
+        row.append(icon, text, close);
+        return row;
+    }
+
+    // Filters locally so typing never waits on the background worker
+    function renderList() {
+        if (!tabList) return;
+        const query = (tabSearch?.value || "").trim().toLowerCase();
+        const matches = (tab) =>
+            !query ||
+            tab.title.toLowerCase().includes(query) ||
+            tab.url.toLowerCase().includes(query);
+        tabList.textContent = "";
+        suspendedWindows.forEach((win, i) => {
+            const tabs = win.tabs.filter(matches);
+            if (!tabs.length) return;
+            if (suspendedWindows.length > 1) {
+                const heading = document.createElement("div");
+                heading.className = "window-title";
+                heading.textContent = win.focused
+                    ? "This window"
+                    : `Window ${i + 1}`;
+                tabList.appendChild(heading);
+            }
+            tabs.forEach((tab) => tabList.appendChild(tabEntry(tab)));
+        });
+        if (!tabList.children.length) {
+            const empty = document.createElement("div");
+            empty.className = "list-empty";
+            empty.textContent = query
+                ? "No matching tabs"
+                : "No suspended tabs";
+            tabList.appendChild(empty);
+        }
+    }
+
+    async function refreshList() {
+        try {
+            const res = await chrome.runtime.sendMessage({
+                action: "listSuspendedTabs",
+            });
+            suspendedWindows = res?.windows || [];
+        } catch (error) {
+            console.error("Failed to load suspended tabs:", error);
+            suspendedWindows = [];
+        }
+        renderList();
+        refreshCount();
+    }
+
+    // ========================================================================
+    // SNOOZE CONTROLS
+    // ========================================================================
+
+    function formatRemaining(snooze) {
+        if (snooze.untilRestart) return "until browser restart";
+        if (snooze.remainingMs == null) return "indefinitely";
+        const mins = Math.max(1, Math.ceil(snooze.remainingMs / 60000));
+        return mins >= 60
+            ? `${Math.floor(mins / 60)} h ${mins % 60} min left`
+            : `${mins} min left`;
+    }
+
+    function renderSnooze(snooze, status, durationSelect, button) {
+        status.textContent = snooze ? `Snoozed ${formatRemaining(snooze)}` : "";
+        status.classList.toggle("active", !!snooze);
+        durationSelect.hidden = !!snooze;
+        button.textContent = snooze ? "Cancel" : "Snooze";
+        button.dataset.snoozed = snooze ? "1" : "";
+    }
+
+    async function refreshSnooze() {
+        if (!tabSnoozeBtn || !allSnoozeBtn) return;
+        try {
+            const state = await chrome.runtime.sendMessage({
+                action: "getSnoozeState",
+                tabId: activeTabId,
+            });
+            renderSnooze(
+                state?.tab,
+                tabSnoozeStatus,
+                tabSnoozeDuration,
+                tabSnoozeBtn
+            );
+            renderSnooze(
+                state?.global,
+                allSnoozeStatus,
+                allSnoozeDuration,
+                allSnoozeBtn
+            );
+        } catch (error) {
+            console.error("Failed to load snooze state:", error);
+        }
+    }
+
+    // tabId null snoozes all auto-suspension
+    async function toggleSnooze(button, durationSelect, tabId) {
+        try {
+            await chrome.runtime.sendMessage(
+                button.dataset.snoozed
+                    ? { action: "cancelSnooze", tabId }
+                    : {
+                          action: "snooze",
+                          tabId,
+                          duration: durationSelect.value,
+                      }
+            );
+        } catch (error) {
+            console.error("Failed to update snooze:", error);
+            showError(button, "Error");
+        }
+        refreshSnooze();
+    }
+
     // ========================================================================
     // BUTTON EVENT HANDLERS
     // ========================================================================
@@ -67,15 +339,32 @@ document.addEventListener("DOMContentLoaded", async () => {
         setButtonLoading(suspendCurrentBtn);
 
         try {
-            const response = await chrome.runtime.sendMessage({
+            let response = await chrome.runtime.sendMessage({
                 action: "suspendCurrentTab",
             });
+            // Unsaved form input: only suspend once the user agrees to lose it
+            if (
+                response?.unsavedForm &&
+                confirm(
+                    "This tab has unsaved form input that will be lost. Suspend anyway?"
+                )
+            ) {
+                response = await chrome.runtime.sendMessage({
+                    action: "suspendCurrentTab",
+                    force: true,
+                });
+            }
             if (response?.success) {
                 showSuccess(suspendCurrentBtn, "Suspended!");
             } else if (response?.already) {
                 showError(suspendCurrentBtn, "Already suspended");
+            } else if (response?.unsavedForm) {
+                showError(suspendCurrentBtn, "Unsaved form");
             } else if (response?.ignored) {
-                showError(suspendCurrentBtn, "Ignored by rules");
+                showError(
+                    suspendCurrentBtn,
+                    response.eligibility?.message || "Ignored by rules"
+                );
             } else {
                 showError(suspendCurrentBtn, "Cannot suspend");
             }
@@ -84,6 +373,7 @@ document.addEventListener("DOMContentLoaded", async () => {
             showError(suspendCurrentBtn, "Error");
         } finally {
             setButtonLoading(suspendCurrentBtn, false);
+            refreshList();
         }
     });
 
@@ -99,6 +389,7 @@ document.addEventListener("DOMContentLoaded", async () => {
             showError(suspendAllBtn, "Error");
         } finally {
             setButtonLoading(suspendAllBtn, false);
+            refreshList();
         }
     });
 
@@ -107,16 +398,108 @@ document.addEventListener("DOMContentLoaded", async () => {
         setButtonLoading(unsuspendAllBtn);
 
         try {
-            await chrome.runtime.sendMessage({ action: "unsuspendAllTabs" });
-            showSuccess(unsuspendAllBtn, "All restored!");
+            const progress = await chrome.runtime.sendMessage({
+                action: "unsuspendAllTabs",
+            });
+            showSuccess(
+                unsuspendAllBtn,
+                progress?.running
+                    ? "Restoring..."
+                    : progress?.lazy
+                    ? "Restores when opened"
+                    : "All restored!"
+            );
+            refreshRestoreProgress();
         } catch (error) {
             console.error("Failed to unsuspend all tabs:", error);
             showError(unsuspendAllBtn, "Error");
         } finally {
             setButtonLoading(unsuspendAllBtn, false);
+            refreshList();
         }
     });
 
+    refreshList();
+    refreshRestoreProgress();
+    tabSearch?.addEventListener("input", renderList);
+
+    // Snooze controls
+    const [activeTab] = await chrome.tabs.query({
+        active: true,
+        currentWindow: true,
+    });
+    activeTabId = activeTab?.id ?? null;
+
+    // Window actions apply to the popup's window
+    [
+        [suspendWindowBtn, "suspendWindow", "Window suspended!"],
+        [unsuspendWindowBtn, "unsuspendWindow", "Window restored!"],
+    ].forEach(([button, action, message]) =>
+        button?.addEventListener("click", async () => {
+            setButtonLoading(button);
+            try {
+                const res = await chrome.runtime.sendMessage({
+                    action,
+                    windowId: activeTab?.windowId,
+                });
+                if (res?.success) {
+                    showSuccess(button, message);
+                } else {
+                    showError(button, "Error");
+                }
+            } catch (error) {
+                console.error(`Failed to ${action}:`, error);
+                showError(button, "Error");
+            } finally {
+                setButtonLoading(button, false);
+                refreshList();
+            }
+        })
+    );
+
+    // Group actions apply to the active tab's group
+    if (groupActions && activeTab?.groupId >= 0) {
+        groupActions.hidden = false;
+        [
+            [suspendGroupBtn, "suspendGroup", "Group suspended!"],
+            [unsuspendGroupBtn, "unsuspendGroup", "Group restored!"],
+        ].forEach(([button, action, message]) =>
+            button.addEventListener("click", async () => {
+                setButtonLoading(button);
+                try {
+                    const res = await chrome.runtime.sendMessage({
+                        action,
+                        groupId: activeTab.groupId,
+                    });
+                    // Tabs that could not keep their group were suspended
+                    // in place instead
+                    if (res?.groupRejoinFailed) {
+                        showSuccess(button, "Suspended in place");
+                    } else if (res?.success) {
+                        showSuccess(button, message);
+                    } else {
+                        showError(button, "Error");
+                    }
+                } catch (error) {
+                    console.error(`Failed to ${action}:`, error);
+                    showError(button, "Error");
+                } finally {
+                    setButtonLoading(button, false);
+                    refreshList();
+                }
+            })
+        );
+    }
+    tabSnoozeBtn?.addEventListener("click", () =>
+        toggleSnooze(tabSnoozeBtn, tabSnoozeDuration, activeTabId)
+    );
+    allSnoozeBtn?.addEventListener("click", () =>
+        toggleSnooze(allSnoozeBtn, allSnoozeDuration, null)
+    );
+    refreshSnooze();
+    // Keep the remaining time current while the popup is open
+    snoozeInterval = setInterval(refreshSnooze, 30000);
+
     // Open options page
     openOptionsBtn.addEventListener("click", () =>
         chrome.runtime.openOptionsPage()
@@ -124,7 +507,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 
     // Clean up interval when popup closes
     window.addEventListener("beforeunload", () => {
-        // no interval cleanup needed
+        clearInterval(snoozeInterval);
     });
 
     // ========================================================================
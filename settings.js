@@ -0,0 +1,111 @@
+// ============================================================================
+// SMART SUSPENDER - Settings Schema
+// ============================================================================
+// Single source of truth for setting defaults, shared by the service worker
+// (importScripts) and the options page (<script>). Bump SETTINGS_VERSION and
+// add a step to SETTINGS_MIGRATIONS in background.js when the shape changes.
+// ============================================================================
+
+const SETTINGS_VERSION = 1;
+
+// Identifies settings export files
+const SETTINGS_EXPORT_FORMAT = "smart-suspender-settings";
+
+const DEFAULT_SETTINGS = {
+    schemaVersion: SETTINGS_VERSION,
+    autoSuspend: true,
+    autoSuspendTime: 30, // minutes
+    ignorePinned: true,
+    ignoreAudio: true,
+    ignoreActive: true,
+    ignoreForms: true,
+    ignoreMedia: true, // playing video or audio, muted included
+    ignoreFullscreen: true, // fullscreen or picture-in-picture
+    ignoreCalls: true, // WebRTC calls, camera or screen capture
+    honorPageOptOut: true, // <meta name="smart-suspender" content="never">
+    urlWhitelist: "",
+    restorePageState: true,
+    pageStateOptOut: "", // hostnames, one per line
+    thumbnails: true,
+    thumbnailQuality: 60, // JPEG quality, 1-100
+    thumbnailMaxWidth: 480, // px
+    suspendStrategy: "replace", // "discard" | "replace" | "navigate"
+    strategyOverrides: "", // "example.com = discard", one per line
+    // Ordered per-site rules, first match wins. See findRule().
+    // { pattern, action: "timeout"|"never"|"onSwitch", minutes?,
+    //   ignorePinned?: boolean|null, ignoreAudio?: boolean|null }
+    rules: [],
+    memoryPressure: false,
+    memoryThresholdPercent: 15, // act when free memory drops below this
+    memoryCheckMinutes: 1, // polling interval (Chrome minimum is 0.5)
+    tabCap: false,
+    tabCapMax: 10, // live (eligible, non-suspended) tabs to keep
+    tabCapScope: "window", // "window" | "global"
+    syncSettings: false, // mirror settings through chrome.storage.sync
+    badgeMode: "off", // "off" | "count" | "countdown"
+    suspendCollapsedGroups: false, // restore them again on expand
+    suspendUnfocusedWindows: false,
+    unfocusedWindowMinutes: 10, // unfocused or minimized this long
+    restoreConcurrency: 3, // tabs loading at once during "restore all"
+    lazyRestore: false, // "restore all" only loads each window's active tab
+    idleMinutes: 15, // no input this long counts as away
+    suspendOnIdle: false,
+    suspendOnLock: false,
+    pauseWhileAway: false, // time away does not count towards timeouts
+    externalApiAllowlist: "", // extension IDs for the external API
+};
+
+// Allowed values beyond the type of the default. Numbers are [min, max].
+const SETTING_CONSTRAINTS = {
+    autoSuspendTime: [1, 7 * 24 * 60],
+    thumbnailQuality: [1, 100],
+    thumbnailMaxWidth: [120, 1920],
+    suspendStrategy: ["discard", "replace", "navigate"],
+    memoryThresholdPercent: [1, 90],
+    memoryCheckMinutes: [0.5, 60],
+    tabCapMax: [1, 500],
+    tabCapScope: ["window", "global"],
+    badgeMode: ["off", "count", "countdown"],
+    unfocusedWindowMinutes: [1, 24 * 60],
+    restoreConcurrency: [1, 20],
+    idleMinutes: [1, 240],
+};
+
+// Checks an already migrated settings object against the defaults.
+// Returns the valid entries plus one message per rejected entry, so an
+// import can apply what it understands and report the rest.
+function validateSettings(input) {
+    const settings = {};
+    const errors = [];
+    if (!input || typeof input !== "object" || Array.isArray(input)) {
+        return { settings, errors: ["Settings must be a JSON object"] };
+    }
+    for (const [key, value] of Object.entries(input)) {
+        if (key === "schemaVersion") continue;
+        if (!(key in DEFAULT_SETTINGS)) {
+            errors.push(`Unknown setting "${key}"`);
+            continue;
+        }
+        const expected = Array.isArray(DEFAULT_SETTINGS[key])
+            ? "array"
+            : typeof DEFAULT_SETTINGS[key];
+        const actual = Array.isArray(value) ? "array" : typeof value;
+        if (actual !== expected || (actual === "number" && !isFinite(value))) {
+            errors.push(`"${key}" should be a ${expected}`);
+            continue;
+        }
+        const allowed = SETTING_CONSTRAINTS[key];
+        if (actual === "number" && allowed) {
+            const [min, max] = allowed;
+            if (value < min || value > max) {
+                errors.push(`"${key}" must be between ${min} and ${max}`);
+                continue;
+            }
+        } else if (allowed && !allowed.includes(value)) {
+            errors.push(`"${key}" must be one of: ${allowed.join(", ")}`);
+            continue;
+        }
+        settings[key] = value;
+    }
+    return { settings, errors };
+}
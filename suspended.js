@@ -4,45 +4,98 @@
 // Handles the suspended tab page with intelligent restore functionality
 // ============================================================================
 
+// Only web and file pages can be restored; any other scheme in the url
+// parameter (javascript:, data:, ...) is ignored
+const RESTORABLE_PROTOCOLS = ["http:", "https:", "file:"];
+
+function restorableUrl(raw) {
+    try {
+        return RESTORABLE_PROTOCOLS.includes(new URL(raw).protocol)
+            ? raw
+            : null;
+    } catch {
+        return null;
+    }
+}
+
 // Extract URL parameters
 const params = new URLSearchParams(location.search);
-const url = params.get("url");
+const url = restorableUrl(params.get("url"));
 const title = params.get("title");
 
 // Update page content
 if (title) document.getElementById("title").textContent = title;
 if (url) document.getElementById("url").textContent = url;
 
+// ============================================================================
+// PAGE PREVIEW
+// ============================================================================
+
+// The record may land a moment after this page loads (replace strategy), so
+// retry a few times before giving up on the preview.
+function showThumbnail(attempt = 0) {
+    try {
+        chrome.runtime.sendMessage(
+            { action: "getSuspendedTabData" },
+            (data) => {
+                if (!data) {
+                    if (attempt < 5)
+                        setTimeout(() => showThumbnail(attempt + 1), 300);
+                    return;
+                }
+                if (!data.thumbnailData) return;
+                const img = document.getElementById("thumbnail");
+                img.src = data.thumbnailData;
+                img.hidden = false;
+                document.getElementById("zzz").hidden = true;
+                document
+                    .querySelector(".browser-window")
+                    .classList.add("has-thumbnail");
+            }
+        );
+    } catch (e) {
+        // Silent fail - preview is optional
+    }
+}
+
 // ============================================================================
 // RESTORE FUNCTIONALITY
 // ============================================================================
 
+// The background restores to the URL it recorded for this tab. The page
+// only navigates by itself when the background cannot be reached at all.
 let restoring = false;
 function restore() {
-    if (restoring) return; // prevent double trigger
+    if (restoring || !url) return; // prevent double trigger
     restoring = true;
-    if (!url) return;
 
-    // Primary method: communicate with background script
     try {
-        chrome.runtime.sendMessage(
-            { action: "restoreTab", url: url },
-            (response) => {
-                // Fallback: direct navigation if background script fails
-                if (!response?.success) {
-                    window.location.href = url;
-                }
+        chrome.runtime.sendMessage({ action: "restoreTab" }, (response) => {
+            if (chrome.runtime.lastError) {
+                window.location.href = url;
+                return;
             }
-        );
+            // Refused: no record matches this page. Allow another try and
+            // leave following the address to the user.
+            if (!response?.success) {
+                restoring = false;
+                showUrlLink();
+            }
+        });
     } catch (error) {
-        // Fallback: direct navigation
+        // Extension context is gone, e.g. after an uninstall
         window.location.href = url;
     }
+}
 
-    // Safety fallback after short delay
-    setTimeout(() => {
-        if (document.visibilityState !== "hidden") window.location.href = url;
-    }, 400);
+function showUrlLink() {
+    const el = document.getElementById("url");
+    if (el.querySelector("a")) return;
+    const link = document.createElement("a");
+    link.href = url;
+    link.rel = "noreferrer";
+    link.textContent = url;
+    el.replaceChildren(link);
 }
 
 // ============================================================================
@@ -75,6 +128,8 @@ document.addEventListener("DOMContentLoaded", function () {
         }
     }, 100);
 
+    showThumbnail();
+
     // Handle page reload - restore immediately
     if (
         url &&
@@ -98,12 +153,15 @@ document.addEventListener("DOMContentLoaded", function () {
         }
     });
 
+    // Anywhere but the address link, see showUrlLink()
     document.addEventListener("click", function (e) {
+        if (e.target.closest("a")) return;
         e.preventDefault();
         restore();
     });
 
     document.addEventListener("touchstart", function (e) {
+        if (e.target.closest("a")) return;
         e.preventDefault();
         restore();
     });